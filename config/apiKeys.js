@@ -0,0 +1,19 @@
+/**
+ * Scopes a personal API key can be granted.
+ * Routes opt in to API key access with allowApiKey(scope), every other
+ * route refuses requests authenticated with a key.
+ */
+const API_KEY_SCOPES = {
+  JOBS_READ: "jobs:read",
+  JOBS_WRITE: "jobs:write",
+  COMMUNITY_POST: "community:post",
+};
+
+// Active keys a single user can hold at once
+const MAX_API_KEYS_PER_USER =
+  parseInt(process.env.MAX_API_KEYS_PER_USER, 10) || 10;
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_USER,
+};
@@ -0,0 +1,33 @@
+/**
+ * Actions that need a verified email address.
+ * EMAIL_VERIFICATION_REQUIRED_FOR takes a comma-separated list of actions,
+ * set it to an empty string to allow everything without verification.
+ */
+const VERIFICATION_ACTIONS = {
+  CREATE_JOB: "jobs:create",
+  CREATE_COMMUNITY: "community:create",
+};
+
+const requiredFor = (
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR !== undefined
+    ? process.env.EMAIL_VERIFICATION_REQUIRED_FOR
+    : Object.values(VERIFICATION_ACTIONS).join(",")
+)
+  .split(",")
+  .map((action) => action.trim())
+  .filter(Boolean);
+
+// Lifetime of the signed link sent in verification emails
+const VERIFICATION_TOKEN_EXPIRE_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+/**
+ * Check if an action is blocked until the user verifies their email
+ */
+const isVerificationRequired = (action) => requiredFor.includes(action);
+
+module.exports = {
+  VERIFICATION_ACTIONS,
+  VERIFICATION_TOKEN_EXPIRE_HOURS,
+  isVerificationRequired,
+};
@@ -0,0 +1,23 @@
+/**
+ * Ranking options and page sizes for the home feed.
+ */
+const FEED_SORTS = ["latest", "top"];
+
+// Time windows "top" ranking can look back over, in days (null for all time)
+const FEED_TOP_WINDOWS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365,
+  all: null,
+};
+
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+module.exports = {
+  FEED_SORTS,
+  FEED_TOP_WINDOWS,
+  DEFAULT_FEED_LIMIT,
+  MAX_FEED_LIMIT,
+};
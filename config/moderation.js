@@ -0,0 +1,35 @@
+/**
+ * Reasons members can give when reporting a post or comment,
+ * how many reports it takes to hide content before a moderator looks at it,
+ * and limits on the actions moderators take against members.
+ */
+const REPORT_REASONS = [
+  "harassment",
+  "hate_speech",
+  "threats",
+  "self_harm",
+  "sexual_content",
+  "spam",
+  "misinformation",
+  "other",
+];
+
+// Reasons that put people at risk, these alert the moderators on the first report
+const URGENT_REPORT_REASONS = ["harassment", "threats", "self_harm"];
+
+const MODERATION_ACTIONS = ["hide", "delete", "warn", "dismiss"];
+
+// Open reports from different members that hide content automatically
+const REPORT_AUTO_HIDE_THRESHOLD =
+  parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 3;
+
+// Longest mute a moderator can give, longer ones should be bans
+const MAX_MUTE_HOURS = 90 * 24;
+
+module.exports = {
+  REPORT_REASONS,
+  URGENT_REPORT_REASONS,
+  MODERATION_ACTIONS,
+  REPORT_AUTO_HIDE_THRESHOLD,
+  MAX_MUTE_HOURS,
+};
@@ -0,0 +1,43 @@
+/**
+ * Limits on community posts: how long authors can edit a post after
+ * publishing it, how many earlier versions are kept for moderators
+ * how many posts a community can pin, how polls are shaped, which
+ * reactions members can leave and how many posts a page holds.
+ */
+
+// Minutes after publishing during which the author can still edit a post
+const POST_EDIT_WINDOW_MINUTES =
+  parseInt(process.env.POST_EDIT_WINDOW_MINUTES, 10) || 24 * 60;
+
+// Earlier versions kept per post, the oldest are dropped past this
+const MAX_POST_REVISIONS = 50;
+
+// Pinned posts per community, so the top of the feed stays readable
+const MAX_PINNED_POSTS = parseInt(process.env.MAX_PINNED_POSTS, 10) || 3;
+
+// Options a poll can offer
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+
+// Longest a poll can stay open
+const MAX_POLL_DAYS = 90;
+
+// Reactions a member can leave on a post, one per member.
+// "like" reactions are stored in Post.likes for older clients.
+const REACTION_TYPES = ["like", "support", "celebrate", "insightful", "hug"];
+
+// Posts per page of a community, pinned posts come on top of the first page
+const DEFAULT_POSTS_LIMIT = 20;
+const MAX_POSTS_LIMIT = 50;
+
+module.exports = {
+  POST_EDIT_WINDOW_MINUTES,
+  MAX_POST_REVISIONS,
+  MAX_PINNED_POSTS,
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  MAX_POLL_DAYS,
+  REACTION_TYPES,
+  DEFAULT_POSTS_LIMIT,
+  MAX_POSTS_LIMIT,
+};
@@ -0,0 +1,38 @@
+/**
+ * Platform roles and the permissions each of them grants.
+ * Community-level moderators are stored on the community itself,
+ * these roles apply across the whole platform.
+ */
+const ROLES = ["member", "employer", "moderator", "admin"];
+
+const PERMISSIONS = {
+  MANAGE_ANY_JOB: "jobs:manage_any",
+  MANAGE_ANY_COMMUNITY: "community:manage_any",
+  MODERATE_ANY_POST: "posts:moderate_any",
+  MANAGE_USERS: "users:manage",
+  IMPERSONATE_USERS: "users:impersonate",
+};
+
+const ROLE_PERMISSIONS = {
+  member: [],
+  employer: [],
+  moderator: [PERMISSIONS.MODERATE_ANY_POST],
+  admin: Object.values(PERMISSIONS),
+};
+
+/**
+ * Check if a user's role grants a permission
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+
+  const permissions = ROLE_PERMISSIONS[user.role || "member"] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
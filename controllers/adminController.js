@@ -0,0 +1,250 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Impersonation = require("../models/Impersonation");
+const AuditLog = require("../models/AuditLog");
+const { ROLES } = require("../config/roles");
+
+// Impersonation tokens are short-lived and can't be refreshed
+const IMPERSONATION_EXPIRE_MINUTES =
+  parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES, 10) || 15;
+
+// Helper to match a search term literally, without regex syntax
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// @desc    Get users (optionally filtered by role or search term)
+// @route   GET /api/admin/users
+// @access  Private (admin only)
+exports.getUsers = async (req, res) => {
+  try {
+    // Set up pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Set up filtering
+    const filter = {};
+
+    if (req.query.role) {
+      filter.role = String(req.query.role);
+    }
+
+    if (req.query.search) {
+      const search = escapeRegex(String(req.query.search));
+      filter.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { email: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .select("name email role profileImage createdAt");
+
+    const total = await User.countDocuments(filter);
+
+    const pagination = {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      pagination,
+      data: users,
+    });
+  } catch (error) {
+    console.error("Admin get users error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Change a user's platform role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin only)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: "Invalid role",
+        allowedRoles: ROLES,
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (req.params.id === req.user.id && role !== "admin") {
+      return res
+        .status(400)
+        .json({ message: "You cannot remove your own admin role" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).select("name email role");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    console.log(
+      `Admin ${req.user.id} changed role of user ${user._id} to ${role}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Admin update user role error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get a short-lived token to act as a user for support
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (admin only)
+exports.impersonateUser = async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : "";
+
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ message: "A reason for the impersonation is required" });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot impersonate yourself" });
+    }
+
+    const user = await User.findById(req.params.id).select("name email role");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Admin accounts can't be reached through impersonation
+    if (user.role === "admin") {
+      return res
+        .status(403)
+        .json({ message: "Admin accounts cannot be impersonated" });
+    }
+
+    const impersonation = await Impersonation.create({
+      admin: req.user.id,
+      user: user._id,
+      reason,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      expiresAt: Date.now() + IMPERSONATION_EXPIRE_MINUTES * 60 * 1000,
+    });
+
+    const token = jwt.sign(
+      {
+        id: user._id,
+        purpose: "impersonation",
+        impersonatedBy: req.user.id,
+        imp: impersonation._id,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: `${IMPERSONATION_EXPIRE_MINUTES}m` }
+    );
+
+    await AuditLog.create({
+      action: "impersonation.start",
+      actor: req.user._id,
+      subject: user._id,
+      impersonation: impersonation._id,
+      ip: req.ip,
+      details: { reason },
+    });
+
+    // The token is only returned in the body so the admin's own cookies stay untouched
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.name} for ${IMPERSONATION_EXPIRE_MINUTES} minutes`,
+      impersonationToken: token,
+      expiresAt: impersonation.expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Admin impersonate user error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get audit log entries (optionally filtered by actor, subject or impersonation)
+// @route   GET /api/admin/audit-logs
+// @access  Private (admin only)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    // Set up pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const startIndex = (page - 1) * limit;
+
+    // Set up filtering
+    const filter = {};
+
+    // Query values are cast to strings so nobody can pass operators in
+    ["action", "actor", "subject", "impersonation"].forEach((field) => {
+      if (req.query[field]) {
+        filter[field] = String(req.query[field]);
+      }
+    });
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .populate("actor", "name email")
+      .populate("subject", "name email");
+
+    const total = await AuditLog.countDocuments(filter);
+
+    const pagination = {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      pagination,
+      data: logs,
+    });
+  } catch (error) {
+    console.error("Admin get audit logs error:", error.message);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: "Invalid filter value" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
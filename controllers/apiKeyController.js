@@ -0,0 +1,148 @@
+const ApiKey = require("../models/ApiKey");
+const { API_KEY_SCOPES, MAX_API_KEYS_PER_USER } = require("../config/apiKeys");
+
+// @desc    List the current user's API keys
+// @route   GET /api/auth/api-keys
+// @access  Private
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .select("-user");
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      availableScopes: Object.values(API_KEY_SCOPES),
+      data: apiKeys.map((apiKey) => ({
+        id: apiKey._id,
+        name: apiKey.name,
+        keyPreview: apiKey.keyPreview,
+        scopes: apiKey.scopes,
+        createdAt: apiKey.createdAt,
+        expiresAt: apiKey.expiresAt,
+        expired: !apiKey.isActive(),
+        lastUsedAt: apiKey.lastUsedAt,
+        lastUsedIp: apiKey.lastUsedIp,
+      })),
+    });
+  } catch (error) {
+    console.error("Get API keys error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create an API key (the key itself is only returned here)
+// @route   POST /api/auth/api-keys
+// @access  Private
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        message: "At least one scope is required",
+        availableScopes: Object.values(API_KEY_SCOPES),
+      });
+    }
+
+    const unknownScopes = scopes.filter(
+      (scope) => !Object.values(API_KEY_SCOPES).includes(scope)
+    );
+
+    if (unknownScopes.length) {
+      return res.status(400).json({
+        message: `Unknown scopes: ${unknownScopes.join(", ")}`,
+        availableScopes: Object.values(API_KEY_SCOPES),
+      });
+    }
+
+    if (
+      expiresInDays !== undefined &&
+      !(Number.isInteger(expiresInDays) && expiresInDays > 0)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "expiresInDays must be a positive whole number" });
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+    });
+
+    if (activeCount >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_API_KEYS_PER_USER} API keys, revoke one first`,
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000
+        : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Copy the key now, it won't be shown again",
+      key,
+      data: {
+        id: apiKey._id,
+        name: apiKey.name,
+        keyPreview: apiKey.keyPreview,
+        scopes: apiKey.scopes,
+        createdAt: apiKey.createdAt,
+        expiresAt: apiKey.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked",
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,12 +1,195 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
+const { sendMail, buildAppUrl } = require("../services/mailer");
+const {
+  VERIFICATION_TOKEN_EXPIRE_HOURS,
+} = require("../config/emailVerification");
+const { limiters, LOCKOUT_MINUTES } = require("../services/bruteForce");
+const { consumeSecondFactor } = require("../services/twoFactor");
+const { DELETION_GRACE_DAYS } = require("../services/accountDeletion");
 
-// Helper function to generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
+const TWO_FACTOR_CHALLENGE_EXPIRE_MINUTES = 5;
+
+const MAGIC_LINK_EXPIRE_MINUTES = 15;
+
+const ACCESS_TOKEN_EXPIRE_MINUTES =
+  parseInt(process.env.ACCESS_TOKEN_EXPIRE_MINUTES, 10) || 15;
+
+// Helper function to generate a short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: `${ACCESS_TOKEN_EXPIRE_MINUTES}m`,
+  });
+};
+
+// Helper function to set the access and refresh token cookies
+const setAuthCookies = (res, token, session, refreshToken) => {
+  // Set cookies (both 'token' and 'auth_token' for compatibility)
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    maxAge: ACCESS_TOKEN_EXPIRE_MINUTES * 60 * 1000,
+  };
+
+  res.cookie("token", token, cookieOptions);
+  res.cookie("auth_token", token, cookieOptions);
+
+  // The refresh token is only ever sent to the auth routes
+  res.cookie("refresh_token", refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    path: "/api/auth",
+    expires: session.expiresAt,
+  });
+};
+
+// Helper function to clear all auth cookies
+const clearAuthCookies = (res) => {
+  res.cookie("token", "", {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+
+  res.cookie("auth_token", "", {
+    httpOnly: true,
+    expires: new Date(0),
+  });
+
+  res.cookie("refresh_token", "", {
+    httpOnly: true,
+    path: "/api/auth",
+    expires: new Date(0),
+  });
+};
+
+// Helper function to get the public base URL of this API
+const getApiUrl = (req) =>
+  process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+
+// Helper function to email a signed verification link for the user's current address
+const sendVerificationEmail = async (req, user) => {
+  const verificationToken = jwt.sign(
+    { id: user._id, email: user.email, purpose: "verify_email" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VERIFICATION_TOKEN_EXPIRE_HOURS}h` }
+  );
+
+  return sendMail("emailVerification", user.email, {
+    name: user.name,
+    verifyUrl: `${getApiUrl(req)}/api/auth/verify/${verificationToken}`,
+    expiresInHours: VERIFICATION_TOKEN_EXPIRE_HOURS,
+  });
+};
+
+// Helper function to lock an account after too many failed logins and email an unlock link
+const lockAccount = async (req, user) => {
+  const unlockToken = crypto.randomBytes(20).toString("hex");
+
+  user.loginLockedUntil = Date.now() + LOCKOUT_MINUTES * 60 * 1000;
+  user.unlockToken = crypto
+    .createHash("sha256")
+    .update(unlockToken)
+    .digest("hex");
+  user.unlockTokenExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  await user.save();
+
+  console.warn(`Account ${user._id} locked after repeated failed logins`);
+
+  sendMail("accountLocked", user.email, {
+    name: user.name,
+    unlockUrl: `${getApiUrl(req)}/api/auth/unlock/${unlockToken}`,
+    lockedMinutes: LOCKOUT_MINUTES,
+  }).catch((mailError) =>
+    console.error("Account locked mail error:", mailError.message)
+  );
+};
+
+// Helper function to start a server-side session and set its cookies
+const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  const token = generateToken(user._id, session._id);
+
+  setAuthCookies(res, token, session, refreshToken);
+
+  return { token, refreshToken };
+};
+
+// Helper function to record a failed login and lock the account when it's one too many.
+// Returns true when the account just got locked.
+const recordFailedLogin = async (req, user) => {
+  await limiters.loginIp.hit(req.ip);
+  const { exceeded } = await limiters.loginAccount.hit(user.email);
+
+  if (exceeded) {
+    await lockAccount(req, user);
+    await limiters.loginAccount.reset(user.email);
+  }
+
+  return exceeded;
+};
+
+// Helper function to send the response for a locked account
+const sendAccountLocked = (res, user) => {
+  return res.status(423).json({
+    message: "Account temporarily locked",
+    error: "Too many failed login attempts",
+    help: "Check your email for a link to unlock your account",
+    lockedUntil: user.loginLockedUntil,
+  });
+};
+
+// Helper function to answer a correct first factor when 2FA is on.
+// The user only gets a short-lived challenge token to complete with a code.
+const sendTwoFactorChallenge = (res, user) => {
+  const challengeToken = jwt.sign(
+    { id: user._id, purpose: "2fa_challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${TWO_FACTOR_CHALLENGE_EXPIRE_MINUTES}m` }
+  );
+
+  return res.status(200).json({
+    success: true,
+    twoFactorRequired: true,
+    message: "Enter the code from your authenticator app",
+    challengeToken,
+  });
+};
+
+// Helper function to start a session and send the logged in user
+const sendLoginResponse = async (req, res, user, statusCode) => {
+  // Logging in during the grace period cancels a pending account deletion
+  const deletionCancelled = !!user.deletionScheduledFor;
+
+  if (deletionCancelled) {
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+  }
+
+  // Start session and set cookies
+  const { token, refreshToken } = await startSession(req, res, user);
+
+  res.status(statusCode).json({
+    success: true,
+    deletionCancelled: deletionCancelled || undefined,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      role: user.role,
+      profileImage: user.profileImage,
+    },
+    token,
+    refreshToken,
   });
 };
 
@@ -30,30 +213,13 @@ exports.register = async (req, res) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Set cookies (both 'token' and 'auth_token' for compatibility)
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-    };
-
-    res.cookie("token", token, cookieOptions);
-    res.cookie("auth_token", token, cookieOptions);
+    // Verification mail is best effort, the user can ask for a new link
+    sendVerificationEmail(req, user).catch((mailError) =>
+      console.error("Verification mail error:", mailError.message)
+    );
 
-    // Send response
-    res.status(201).json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        profileImage: user.profileImage,
-      },
-      token,
-    });
+    // Start session and send response
+    await sendLoginResponse(req, res, user, 201);
   } catch (error) {
     console.error("Registration error:", error.message);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -70,61 +236,376 @@ exports.login = async (req, res) => {
     // Check if user exists
     const user = await User.findOne({ email }).select("+password");
     if (!user) {
+      await limiters.loginIp.hit(req.ip);
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
+    // Check if the account is locked after too many failed logins
+    if (user.loginLockedUntil && user.loginLockedUntil > Date.now()) {
+      return sendAccountLocked(res, user);
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      if (await recordFailedLogin(req, user)) {
+        return sendAccountLocked(res, user);
+      }
+
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Successful login clears the account's failed attempts
+    await limiters.loginAccount.reset(user.email);
+
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
 
-    // Set cookies (both 'token' and 'auth_token' for compatibility)
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    // Start session and send response
+    await sendLoginResponse(req, res, user, 200);
+  } catch (error) {
+    console.error("Login error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Email a single-use login link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const email = String(req.body.email || "")
+      .trim()
+      .toLowerCase();
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Every request counts towards the limits, found or not
+    await limiters.magicLinkIp.hit(req.ip);
+    await limiters.magicLinkAccount.hit(email);
+
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message:
+        "If an account exists for this email, a login link is on its way",
     };
 
-    res.cookie("token", token, cookieOptions);
-    res.cookie("auth_token", token, cookieOptions);
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    // Get login token
+    const loginToken = crypto.randomBytes(20).toString("hex");
+
+    // Hash token and set to magicLinkToken field
+    user.magicLinkToken = crypto
+      .createHash("sha256")
+      .update(loginToken)
+      .digest("hex");
+    user.magicLinkExpire = Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000;
+
+    await user.save();
+
+    try {
+      await sendMail("magicLink", user.email, {
+        name: user.name,
+        loginUrl: buildAppUrl(`/magic-link/${loginToken}`),
+        expiresInMinutes: MAGIC_LINK_EXPIRE_MINUTES,
+      });
+    } catch (mailError) {
+      console.error("Magic link mail error:", mailError.message);
+
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save();
+
+      return res.status(500).json({ message: "Email could not be sent" });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("Magic link request error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Login with a magic link token
+// @route   POST /api/auth/magic-link/:logintoken
+// @access  Public
+exports.consumeMagicLink = async (req, res) => {
+  try {
+    // Get hashed token
+    const magicLinkToken = crypto
+      .createHash("sha256")
+      .update(req.params.logintoken)
+      .digest("hex");
+
+    const user = await User.findOne({
+      magicLinkToken,
+      magicLinkExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      await limiters.magicLinkConsumeIp.hit(req.ip);
+      return res.status(400).json({ message: "Invalid or expired link" });
+    }
+
+    // The link works once, whatever happens next
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+
+    // Following the emailed link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+
+    await user.save();
+
+    // Check if the account is locked after too many failed logins
+    if (user.loginLockedUntil && user.loginLockedUntil > Date.now()) {
+      return sendAccountLocked(res, user);
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    // Start session and send response
+    await sendLoginResponse(req, res, user, 200);
+  } catch (error) {
+    console.error("Magic link login error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Complete a 2FA login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "2fa_challenge") {
+      return res.status(401).json({
+        message: "Invalid or expired login challenge",
+        help: "Please login again with your email and password",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+    );
+
+    if (!user || !user.twoFactor.enabled) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired login challenge" });
+    }
+
+    if (user.loginLockedUntil && user.loginLockedUntil > Date.now()) {
+      return sendAccountLocked(res, user);
+    }
+
+    const method = consumeSecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      if (await recordFailedLogin(req, user)) {
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    // Persist the burned code before handing out a session
+    await user.save();
+    await limiters.loginAccount.reset(user.email);
+
+    if (method === "recovery") {
+      console.warn(
+        `User ${user._id} logged in with a recovery code, ${user.twoFactor.recoveryCodes.length} left`
+      );
+    }
+
+    await sendLoginResponse(req, res, user, 200);
+  } catch (error) {
+    console.error("2FA login error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  try {
+    const presentedToken =
+      req.cookies.refresh_token || (req.body && req.body.refreshToken);
+
+    if (!presentedToken) {
+      return res.status(401).json({ message: "No refresh token provided" });
+    }
+
+    const rotated = await Session.rotate(presentedToken, req.ip);
+
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        message: "Invalid or expired refresh token",
+        help: "Please login again to continue",
+      });
+    }
+
+    const { session, refreshToken } = rotated;
+    const token = generateToken(session.user, session._id);
+
+    setAuthCookies(res, token, session, refreshToken);
 
-    // Send response
     res.status(200).json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        profileImage: user.profileImage,
-      },
       token,
+      refreshToken,
     });
   } catch (error) {
-    console.error("Login error:", error.message);
+    console.error("Refresh token error:", error.message);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Logout user / revoke session and clear cookies
 // @route   GET /api/auth/logout
 // @access  Private
-exports.logout = (req, res) => {
-  // Clear both cookies
-  res.cookie("token", "", {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+exports.logout = async (req, res) => {
+  try {
+    // Logging out of an impersonation only ends it, the admin's own session stays
+    if (req.impersonation) {
+      req.impersonation.endedAt = Date.now();
+      await req.impersonation.save();
 
-  res.cookie("auth_token", "", {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+      return res
+        .status(200)
+        .json({ success: true, message: "Impersonation ended" });
+    }
+
+    await Session.revoke(req.sessionId, "logout");
+
+    clearAuthCookies(res);
+
+    res.status(200).json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Logout user from every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, "logout_all");
 
-  res.status(200).json({ success: true, message: "Logged out successfully" });
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      revokedSessions: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .select("device userAgent ip lastUsedAt createdAt expiresAt");
+
+    const data = sessions.map((session) => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastSeenAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === String(req.sessionId),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Log out one session (device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await Session.revoke(session._id, "revoked_by_user");
+
+    // Logging out the device making the request also clears its cookies
+    const isCurrent = session._id.toString() === String(req.sessionId);
+    if (isCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session logged out",
+      current: isCurrent,
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
 };
 
 // @desc    Get current logged in user
@@ -140,6 +621,9 @@ exports.getMe = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        twoFactorEnabled: user.twoFactor.enabled,
         profileImage: user.profileImage,
         bio: user.bio,
         skills: user.skills,
@@ -149,6 +633,13 @@ exports.getMe = async (req, res) => {
         savedJobs: user.savedJobs,
         appliedJobs: user.appliedJobs,
       },
+      // Lets the client show that an admin is looking at the account
+      impersonation: req.impersonation
+        ? {
+            admin: { id: req.realUser._id, name: req.realUser.name },
+            expiresAt: req.impersonation.expiresAt,
+          }
+        : undefined,
     });
   } catch (error) {
     console.error("Get current user error:", error.message);
@@ -156,15 +647,110 @@ exports.getMe = async (req, res) => {
   }
 };
 
+// @desc    Verify email address from a signed link
+// @route   GET /api/auth/verify/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    let decoded;
+
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    if (decoded.purpose !== "verify_email") {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Links sent to a previous address don't verify the current one
+    if (!user || user.email !== decoded.email) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    if (user.emailVerified) {
+      return res
+        .status(200)
+        .json({ success: true, message: "Email already verified" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save();
+
+    sendMail("welcome", user.email, { name: user.name }).catch((mailError) =>
+      console.error("Welcome mail error:", mailError.message)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "Email already verified" });
+    }
+
+    try {
+      await sendVerificationEmail(req, req.user);
+    } catch (mailError) {
+      console.error("Verification mail error:", mailError.message);
+      return res.status(500).json({ message: "Email could not be sent" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgotpassword
 // @access  Public
 exports.forgotPassword = async (req, res) => {
   try {
-    const user = await User.findOne({ email: req.body.email });
+    const email = String(req.body.email || "")
+      .trim()
+      .toLowerCase();
+
+    // Every request counts towards the reset limits, found or not
+    await limiters.forgotPasswordIp.hit(req.ip);
+    await limiters.forgotPasswordAccount.hit(email);
+
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link is on its way",
+    };
+
+    const user = await User.findOne({ email });
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return res.status(200).json(response);
     }
 
     // Get reset token
@@ -181,13 +767,23 @@ exports.forgotPassword = async (req, res) => {
 
     await user.save();
 
-    // In a real application, you would send an email with the reset token
-    // For now, we'll just return the token in the response
-    res.status(200).json({
-      success: true,
-      message: "Password reset token generated",
-      resetToken, // In production, remove this and send via email
-    });
+    // Email the reset link, the token itself never goes back in the response
+    try {
+      await sendMail("passwordReset", user.email, {
+        name: user.name,
+        resetUrl: buildAppUrl(`/reset-password/${resetToken}`),
+        expiresInMinutes: 10,
+      });
+    } catch (mailError) {
+      // Answered like any other request, a failure here would reveal the account
+      console.error("Password reset mail error:", mailError.message);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     console.error("Forgot password error:", error.message);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -211,6 +807,7 @@ exports.resetPassword = async (req, res) => {
     });
 
     if (!user) {
+      await limiters.resetPasswordIp.hit(req.ip);
       return res.status(400).json({ message: "Invalid or expired token" });
     }
 
@@ -219,25 +816,326 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
 
+    // Following the emailed reset link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+
+    // Resetting the password also lifts a login lockout
+    user.loginLockedUntil = undefined;
+    user.unlockToken = undefined;
+    user.unlockTokenExpire = undefined;
+
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sessions started with the old password are no longer trusted
+    await Session.revokeAllForUser(user._id, "password_reset");
 
-    // Set cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-    });
+    sendMail("passwordChanged", user.email, { name: user.name }).catch(
+      (mailError) =>
+        console.error("Password changed mail error:", mailError.message)
+    );
+
+    // A reset link alone must not get around the second factor
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message:
+          "Password reset successful, please login with your new password",
+        twoFactorRequired: true,
+      });
+    }
+
+    // Start a fresh session
+    const { token, refreshToken } = await startSession(req, res, user);
 
     res.status(200).json({
       success: true,
       message: "Password reset successful",
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Reset password error:", error.message);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
+
+// @desc    Change password (requires the current password)
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Current and new password are required" });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.matchPassword(currentPassword))) {
+      await limiters.loginIp.hit(req.ip);
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Every other device has to login again with the new password
+    await Session.revokeAllForUser(user._id, "password_change");
+
+    sendMail("passwordChanged", user.email, { name: user.name }).catch(
+      (mailError) =>
+        console.error("Password changed mail error:", mailError.message)
+    );
+
+    // Keep the current device logged in with a fresh session
+    const { token, refreshToken } = await startSession(req, res, user);
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    console.error("Change password error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Request an email change, a confirmation link goes to the new address
+// @route   PUT /api/auth/email
+// @access  Private
+exports.requestEmailChange = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const newEmail = String(req.body.newEmail || "")
+      .trim()
+      .toLowerCase();
+
+    if (!newEmail || !password) {
+      return res
+        .status(400)
+        .json({ message: "New email and current password are required" });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.matchPassword(password))) {
+      await limiters.loginIp.hit(req.ip);
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    if (newEmail === user.email) {
+      return res
+        .status(400)
+        .json({ message: "This is already your email address" });
+    }
+
+    // Run the schema's email validator against the new address
+    if (new User({ email: newEmail }).validateSync("email")) {
+      return res.status(400).json({ message: "Please provide a valid email" });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res
+        .status(400)
+        .json({ message: "An account with this email already exists" });
+    }
+
+    const changeToken = crypto.randomBytes(20).toString("hex");
+
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = crypto
+      .createHash("sha256")
+      .update(changeToken)
+      .digest("hex");
+    user.emailChangeExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+    await user.save();
+
+    try {
+      await sendMail("emailChangeConfirm", newEmail, {
+        name: user.name,
+        confirmUrl: `${getApiUrl(req)}/api/auth/email/confirm/${changeToken}`,
+        expiresInHours: 24,
+      });
+    } catch (mailError) {
+      console.error("Email change mail error:", mailError.message);
+
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpire = undefined;
+      await user.save();
+
+      return res.status(500).json({ message: "Email could not be sent" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Confirmation link sent to ${newEmail}`,
+    });
+  } catch (error) {
+    console.error("Request email change error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Confirm an email change from the emailed link
+// @route   GET /api/auth/email/confirm/:changetoken
+// @access  Public
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    // Get hashed token
+    const emailChangeToken = crypto
+      .createHash("sha256")
+      .update(req.params.changetoken)
+      .digest("hex");
+
+    const user = await User.findOne({
+      emailChangeToken,
+      emailChangeExpire: { $gt: Date.now() },
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
+
+    // Someone may have registered the address in the meantime
+    if (await User.exists({ email: user.pendingEmail })) {
+      return res
+        .status(400)
+        .json({ message: "An account with this email already exists" });
+    }
+
+    const oldEmail = user.email;
+
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpire = undefined;
+    await user.save();
+
+    // Sessions started under the old address are no longer trusted
+    await Session.revokeAllForUser(user._id, "email_change");
+    clearAuthCookies(res);
+
+    sendMail("emailChanged", oldEmail, {
+      name: user.name,
+      newEmail: user.email,
+    }).catch((mailError) =>
+      console.error("Email changed mail error:", mailError.message)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Email changed successfully, please login again",
+    });
+  } catch (error) {
+    console.error("Confirm email change error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Unlock an account locked after failed logins
+// @route   GET /api/auth/unlock/:unlocktoken
+// @access  Public
+exports.unlockAccount = async (req, res) => {
+  try {
+    // Get hashed token
+    const unlockToken = crypto
+      .createHash("sha256")
+      .update(req.params.unlocktoken)
+      .digest("hex");
+
+    const user = await User.findOne({
+      unlockToken,
+      unlockTokenExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
+
+    user.loginLockedUntil = undefined;
+    user.unlockToken = undefined;
+    user.unlockTokenExpire = undefined;
+    await user.save();
+
+    await limiters.loginAccount.reset(user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked, you can login again",
+    });
+  } catch (error) {
+    console.error("Unlock account error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete account, data is purged after a grace period
+// @route   DELETE /api/auth/me
+// @access  Private
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        message: "Current password is required to delete your account",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!(await user.matchPassword(password))) {
+      await limiters.loginIp.hit(req.ip);
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.deletionRequestedAt = Date.now();
+    user.deletionScheduledFor =
+      Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+    await user.save();
+
+    // Log out everywhere, logging in again is how the deletion gets cancelled
+    await Session.revokeAllForUser(user._id, "account_deletion");
+    await ApiKey.revokeAllForUser(user._id);
+    clearAuthCookies(res);
+
+    sendMail("accountDeletionScheduled", user.email, {
+      name: user.name,
+      deletionDate: user.deletionScheduledFor.toDateString(),
+      graceDays: DELETION_GRACE_DAYS,
+    }).catch((mailError) =>
+      console.error("Account deletion mail error:", mailError.message)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. Log in again before then to cancel.`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    console.error("Delete account error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
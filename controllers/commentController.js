@@ -0,0 +1,312 @@
+const Post = require("../models/Post");
+const Community = require("../models/Community");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+// Replies deeper than this are attached to the deepest allowed level
+const MAX_COMMENT_DEPTH = 5;
+
+// Helper to turn the flat embedded comments array into a reply tree
+const buildCommentTree = (comments) => {
+  const nodes = new Map();
+
+  comments.forEach((comment) => {
+    // Keep placeholders for deleted and hidden comments but hide what they said
+    const node = Post.maskComment(comment.toObject());
+
+    node.replies = [];
+    nodes.set(node._id.toString(), node);
+  });
+
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// @desc    Get comments of a post as a paginated reply tree
+// @route   GET /api/community/posts/:postId/comments
+// @access  Public (members only for private communities)
+exports.getComments = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId)
+      .select("comments community isHidden")
+      .populate("comments.user", "name profileImage");
+
+    if (!post || post.isHidden) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Comments of private communities are only shown to their members
+    const community = await Community.findById(post.community);
+    if (community && !community.canViewContent(req.user)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Set up pagination over top-level comments
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const sortedComments = [...post.comments].sort((a, b) =>
+      req.query.sort === "newest"
+        ? b.createdAt - a.createdAt
+        : a.createdAt - b.createdAt
+    );
+
+    const threads = buildCommentTree(sortedComments);
+    const total = threads.length;
+
+    const pagination = {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: Math.min(limit, Math.max(total - startIndex, 0)),
+      commentCount: post.commentCount,
+      pagination,
+      data: threads.slice(startIndex, startIndex + limit),
+    });
+  } catch (error) {
+    console.error("Get comments error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Add a comment or a reply to a post
+// @route   POST /api/community/posts/:postId/comments
+// @route   POST /api/community/posts/:postId/comments/:commentId/replies
+// @access  Private
+exports.addComment = async (req, res) => {
+  try {
+    const text = req.body.text ? String(req.body.text).trim() : "";
+
+    if (!text) {
+      return res.status(400).json({ message: "Comment text is required" });
+    }
+
+    const post = await Post.findById(req.params.postId);
+
+    if (!post || post.isHidden) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (community && !community.canViewContent(req.user)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Banned and muted users can't comment
+    const restriction = community && community.getRestriction(req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.message,
+        expiresAt: restriction.expiresAt,
+      });
+    }
+
+    const newComment = {
+      user: req.user.id,
+      text,
+    };
+
+    // Replies can come in through the nested route or a parentId in the body
+    const parentId = req.params.commentId || req.body.parentId;
+
+    if (parentId) {
+      const parent = post.comments.id(parentId);
+
+      if (!parent || parent.isDeleted) {
+        return res.status(404).json({ message: "Parent comment not found" });
+      }
+
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        newComment.parent = parent.parent;
+        newComment.depth = parent.depth;
+      } else {
+        newComment.parent = parent._id;
+        newComment.depth = parent.depth + 1;
+      }
+    }
+
+    post.comments.push(newComment);
+    await post.save();
+
+    const comment = post.comments[post.comments.length - 1];
+    await post.populate("comments.user", "name profileImage");
+
+    res.status(201).json({
+      success: true,
+      commentCount: post.commentCount,
+      data: post.comments.id(comment._id),
+    });
+  } catch (error) {
+    console.error("Add comment error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post or comment not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/community/posts/:postId/comments/:commentId
+// @access  Private (comment author only)
+exports.updateComment = async (req, res) => {
+  try {
+    const text = req.body.text ? String(req.body.text).trim() : "";
+
+    if (!text) {
+      return res.status(400).json({ message: "Comment text is required" });
+    }
+
+    const post = await Post.findById(req.params.postId);
+
+    if (!post || post.isHidden) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (community && !community.canViewContent(req.user)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    if (comment.user.toString() !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to edit this comment" });
+    }
+
+    // Banned and muted users can't edit their comments either
+    const restriction = community && community.getRestriction(req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.message,
+        expiresAt: restriction.expiresAt,
+      });
+    }
+
+    // Moderators decide about hidden comments, not their authors
+    if (comment.isHidden) {
+      return res
+        .status(403)
+        .json({ message: "This comment was hidden by the moderators" });
+    }
+
+    comment.text = text;
+    comment.updatedAt = Date.now();
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    console.error("Update comment error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/community/posts/:postId/comments/:commentId
+// @access  Private (comment author, community moderators or platform moderators)
+exports.deleteComment = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    // Check if user is the comment author or a community moderator
+    let isAuthorized = comment.user.toString() === req.user.id;
+
+    if (!isAuthorized) {
+      isAuthorized = hasPermission(req.user, PERMISSIONS.MODERATE_ANY_POST);
+    }
+
+    if (!isAuthorized) {
+      const community = await Community.findById(post.community);
+      isAuthorized = !!community && community.isModerator(req.user.id);
+    }
+
+    if (!isAuthorized) {
+      return res.status(403).json({
+        message:
+          "Not authorized to delete this comment. Only the author or community moderators can delete comments.",
+      });
+    }
+
+    post.removeComment(comment);
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comment deleted successfully",
+      commentCount: post.commentCount,
+    });
+  } catch (error) {
+    console.error("Delete comment error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,15 +1,220 @@
 const Community = require("../models/Community");
 const Post = require("../models/Post");
 const User = require("../models/User");
+const Event = require("../models/Event");
+const Report = require("../models/Report");
+const CommunityInvite = require("../models/CommunityInvite");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+const {
+  POST_EDIT_WINDOW_MINUTES,
+  MAX_PINNED_POSTS,
+  MAX_POLL_DAYS,
+  REACTION_TYPES,
+  DEFAULT_POSTS_LIMIT,
+  MAX_POSTS_LIMIT,
+} = require("../config/posts");
+const { sendMail, buildAppUrl } = require("../services/mailer");
+const {
+  encodeCursor,
+  parseCursor,
+  buildSeekFilter,
+} = require("../services/cursorPagination");
+
+// Helper to check if a user can manage a community (its moderators or an admin)
+const canManageCommunity = (community, user) => {
+  return (
+    community.isModerator(user.id) ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+  );
+};
+
+// Helper to load a page of a community's posts. Pinned posts lead the first
+// page, the others follow newest first behind a (createdAt, _id) cursor.
+const findPostsPage = async (community, { limit, cursor }) => {
+  // Posts hidden by moderators or reports are left out
+  const visible = { community: community._id, isHidden: { $ne: true } };
+  const filter = { ...visible, isPinned: { $ne: true } };
+
+  if (cursor) {
+    Object.assign(filter, buildSeekFilter(["createdAt", "_id"], cursor));
+  }
+
+  const populateComments = {
+    path: "comments.user",
+    select: "name profileImage",
+  };
+
+  const posts = await Post.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate("author", "name profileImage")
+    .populate(populateComments);
+
+  const pinned = cursor
+    ? []
+    : await Post.find({ ...visible, isPinned: true })
+        .sort({ pinnedAt: -1 })
+        .populate("author", "name profileImage")
+        .populate(populateComments);
+
+  const page = posts.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    posts: [...pinned, ...page],
+    nextCursor:
+      posts.length > limit ? encodeCursor([last.createdAt, last._id]) : null,
+  };
+};
+
+// Helper to read the limit and cursor of a posts page from the query string.
+// Returns null for the cursor when one was sent but isn't valid.
+const getPostsPageOptions = (query) => ({
+  limit: Math.max(
+    Math.min(parseInt(query.limit, 10) || DEFAULT_POSTS_LIMIT, MAX_POSTS_LIMIT),
+    1
+  ),
+  cursor: query.cursor
+    ? parseCursor(query.cursor, ["date", "objectId"])
+    : undefined,
+});
+
+// Helper to turn membership questions from the request body into subdocuments.
+// Accepts plain strings or { question, required } objects.
+const parseMembershipQuestions = (questions) => {
+  if (!Array.isArray(questions)) return [];
+
+  return questions
+    .map((entry) =>
+      typeof entry === "string"
+        ? { question: entry, required: false }
+        : { question: entry && entry.question, required: !!entry.required }
+    )
+    .filter((entry) => entry.question);
+};
+
+// Helper to turn the poll in a create post request into a poll subdocument.
+// Returns an error message instead when the poll can't be created.
+const parsePoll = (poll) => {
+  const options = Array.isArray(poll.options) ? poll.options : [];
+  const closesAt = poll.closesAt ? new Date(poll.closesAt) : undefined;
+
+  if (closesAt && isNaN(closesAt.getTime())) {
+    return { error: "Please provide a valid poll close date" };
+  }
+
+  if (closesAt && closesAt <= new Date()) {
+    return { error: "The poll close date must be in the future" };
+  }
+
+  if (closesAt && closesAt > Date.now() + MAX_POLL_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Polls can stay open for at most ${MAX_POLL_DAYS} days` };
+  }
+
+  return {
+    poll: {
+      options: options.map((option) => ({
+        text: typeof option === "string" ? option : option && option.text,
+      })),
+      multipleChoice:
+        poll.multipleChoice === true || poll.multipleChoice === "true",
+      closesAt,
+    },
+  };
+};
+
+// Helper to email an announcement to members who have notifications on for the community
+const notifyMembers = async (community, post) => {
+  const members = await User.find({
+    _id: { $in: community.members, $ne: post.author },
+    notifiedCommunities: community._id,
+  }).select("name email");
+
+  const postUrl = buildAppUrl(`/community/${community._id}/posts/${post._id}`);
+
+  await Promise.all(
+    members.map((member) =>
+      sendMail("communityAnnouncement", member.email, {
+        name: member.name,
+        communityName: community.name,
+        title: post.title,
+        postUrl,
+      }).catch((mailError) =>
+        console.error(
+          `Announcement mail to ${member.email} failed:`,
+          mailError.message
+        )
+      )
+    )
+  );
+
+  return members.length;
+};
+
+// Helper to describe a community to people who can't see its content
+const getCommunitySummary = (community, user) => {
+  const joinRequest = user ? community.getJoinRequest(user.id) : null;
+
+  return {
+    _id: community._id,
+    name: community.name,
+    description: community.description,
+    image: community.image,
+    tags: community.tags,
+    visibility: community.visibility,
+    memberCount: community.memberCount,
+    membershipQuestions: community.membershipQuestions,
+    joinRequestPending: !!joinRequest,
+    restricted: true,
+  };
+};
+
+// Helper to load a post the user likes or reacts to. Sends the error response
+// and returns null when the post is hidden, out of sight or the user is
+// banned or muted in its community.
+const findReactablePost = async (req, res) => {
+  const post = await Post.findById(req.params.postId);
+
+  if (!post || post.isHidden) {
+    res.status(404).json({ message: "Post not found" });
+    return null;
+  }
 
-// @desc    Get all communities
+  const community = await Community.findById(post.community);
+
+  if (community && !community.canViewContent(req.user)) {
+    res.status(404).json({ message: "Post not found" });
+    return null;
+  }
+
+  // Banned and muted users can't react
+  const restriction = community && community.getRestriction(req.user.id);
+  if (restriction) {
+    res.status(403).json({
+      message: restriction.message,
+      expiresAt: restriction.expiresAt,
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// @desc    Get all communities (secret ones only for their members)
 // @route   GET /api/community
-// @access  Public
+// @access  Public (optional auth)
 exports.getCommunities = async (req, res) => {
   try {
-    const communities = await Community.find()
-      .select("name description image tags isPopular members createdAt")
-      .populate("members", "name profileImage");
+    const filter = req.user
+      ? { $or: [{ visibility: { $ne: "secret" } }, { members: req.user._id }] }
+      : { visibility: { $ne: "secret" } };
+
+    // Members, posts and events are only counted, they have their own endpoints
+    const communities = await Community.findWithCounts(
+      filter,
+      "name description image tags isPopular visibility createdAt",
+      req.user && req.user._id
+    );
 
     res.status(200).json({
       success: true,
@@ -24,28 +229,46 @@ exports.getCommunities = async (req, res) => {
 
 // @desc    Get single community
 // @route   GET /api/community/:id
-// @access  Public
+// @access  Public (optional auth, members only for private communities)
 exports.getCommunity = async (req, res) => {
   try {
-    const community = await Community.findById(req.params.id)
-      .populate("members", "name profileImage")
-      .populate("moderators", "name profileImage")
-      .populate({
-        path: "posts",
-        select: "title content images author createdAt likes comments",
-        populate: {
-          path: "author",
-          select: "name profileImage",
-        },
-      });
+    const community = await Community.findById(req.params.id);
 
-    if (!community) {
+    // Secret communities don't exist for outsiders
+    if (
+      !community ||
+      (community.visibility === "secret" && !community.canViewContent(req.user))
+    ) {
       return res.status(404).json({ message: "Community not found" });
     }
 
+    // Outsiders of private communities only get what they need to ask to join
+    if (!community.canViewContent(req.user)) {
+      return res.status(200).json({
+        success: true,
+        data: getCommunitySummary(community, req.user),
+      });
+    }
+
+    await community.populate("moderators", "name profileImage");
+
+    // The first page of posts, later pages come from the posts endpoint
+    const { posts, nextCursor } = await findPostsPage(community, {
+      limit: DEFAULT_POSTS_LIMIT,
+    });
+
+    // Polls show their results only to members who voted
+    const viewerId = req.user && req.user.id;
+    const data = {
+      ...community.toJSON(),
+      isMember: !!viewerId && community.isMember(viewerId),
+      posts: posts.map((post) => post.toViewerJSON(viewerId)),
+      postsNextCursor: nextCursor,
+    };
+
     res.status(200).json({
       success: true,
-      data: community,
+      data,
     });
   } catch (error) {
     console.error("Get community error:", error.message);
@@ -63,7 +286,7 @@ exports.getCommunity = async (req, res) => {
 // @access  Private
 exports.createCommunity = async (req, res) => {
   try {
-    const { name, description, tags, image } = req.body;
+    const { name, description, tags, image, visibility } = req.body;
 
     // Check if community with this name already exists
     const existingCommunity = await Community.findOne({ name });
@@ -79,6 +302,10 @@ exports.createCommunity = async (req, res) => {
       description,
       tags,
       image,
+      visibility,
+      membershipQuestions: parseMembershipQuestions(
+        req.body.membershipQuestions
+      ),
       createdBy: req.user.id,
       moderators: [req.user.id],
       members: [req.user.id],
@@ -98,13 +325,23 @@ exports.createCommunity = async (req, res) => {
     });
   } catch (error) {
     console.error("Create community error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
 // @desc    Update community
 // @route   PUT /api/community/:id
-// @access  Private (moderators only)
+// @access  Private (moderators or admin)
 exports.updateCommunity = async (req, res) => {
   try {
     let community = await Community.findById(req.params.id);
@@ -113,21 +350,34 @@ exports.updateCommunity = async (req, res) => {
       return res.status(404).json({ message: "Community not found" });
     }
 
-    // Check if user is a moderator
-    if (!community.moderators.includes(req.user.id)) {
+    // Check if user is a moderator (admins can manage any community)
+    if (!canManageCommunity(community, req.user)) {
       return res
         .status(403)
         .json({ message: "Not authorized to update this community" });
     }
 
     // Update fields
-    const { name, description, tags, image, isPopular } = req.body;
+    const {
+      name,
+      description,
+      tags,
+      image,
+      isPopular,
+      visibility,
+      membershipQuestions,
+    } = req.body;
 
     if (name) community.name = name;
     if (description) community.description = description;
     if (tags) community.tags = tags;
     if (image) community.image = image;
     if (isPopular !== undefined) community.isPopular = isPopular;
+    if (visibility) community.visibility = visibility;
+    if (membershipQuestions !== undefined) {
+      community.membershipQuestions =
+        parseMembershipQuestions(membershipQuestions);
+    }
 
     await community.save();
 
@@ -138,6 +388,74 @@ exports.updateCommunity = async (req, res) => {
   } catch (error) {
     console.error("Update community error:", error.message);
 
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete community along with its posts and events
+// @route   DELETE /api/community/:id
+// @access  Private (community creator or admin)
+exports.deleteCommunity = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    const isCreator =
+      community.createdBy && community.createdBy.toString() === req.user.id;
+
+    if (
+      !isCreator &&
+      !hasPermission(req.user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to delete this community" });
+    }
+
+    await Post.deleteMany({ community: community._id });
+    await Event.deleteMany({ community: community._id });
+    await Report.deleteMany({ community: community._id });
+    await CommunityInvite.deleteMany({ community: community._id });
+
+    // Remove community from users' joined, notified and muted communities
+    await User.updateMany(
+      { joinedCommunities: community._id },
+      {
+        $pull: {
+          joinedCommunities: community._id,
+          notifiedCommunities: community._id,
+          mutedCommunities: community._id,
+        },
+      }
+    );
+
+    await community.deleteOne();
+
+    console.log(`Community ${community._id} deleted by user ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Community removed",
+    });
+  } catch (error) {
+    console.error("Delete community error:", error.message);
+
     if (error.kind === "ObjectId") {
       return res.status(404).json({ message: "Community not found" });
     }
@@ -151,7 +469,7 @@ exports.updateCommunity = async (req, res) => {
 // @access  Public (was Private)
 exports.joinCommunity = async (req, res) => {
   try {
-    console.log("Join community request received:", JSON.stringify(req.body));
+    console.log("Join community request received:", req.params.id);
     console.log(
       "Authorization header:",
       req.headers.authorization ? "Present" : "Not present"
@@ -171,51 +489,28 @@ exports.joinCommunity = async (req, res) => {
     }
 
     const community = await Community.findById(req.params.id);
+    const { inviteCode } = req.body || {};
 
-    if (!community) {
+    // Secret communities can only be found through an invite
+    if (
+      !community ||
+      (community.visibility === "secret" &&
+        !community.canViewContent(req.user) &&
+        !(inviteCode && req.user))
+    ) {
       return res.status(404).json({
         message: "Community not found",
         community_id: req.params.id,
       });
     }
 
-    // Priority: Use authenticated user, then look for userId in request body
+    // Only the authenticated user can act on their own membership
     let userId = null;
 
     if (req.user) {
       // User authenticated through token
       console.log("User authenticated via token:", req.user.id);
       userId = req.user.id;
-    } else if (req.body && req.body.userId) {
-      // Check if the user ID in request body is valid
-      console.log("User ID provided in request body:", req.body.userId);
-
-      // Check if userId is in valid ObjectId format
-      if (!req.body.userId.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({
-          message: "Invalid user ID format in request",
-          provided_id: req.body.userId,
-        });
-      }
-
-      try {
-        // Try to find the user
-        const userExists = await User.findById(req.body.userId);
-
-        if (userExists) {
-          console.log("User found in database:", userExists.name);
-          userId = req.body.userId;
-        } else {
-          console.log("User ID provided but user not found in database");
-          return res.status(404).json({ message: "User not found" });
-        }
-      } catch (userError) {
-        console.error("Error finding user:", userError.message);
-        return res.status(400).json({
-          message: "Error processing user ID",
-          error: userError.message,
-        });
-      }
     }
 
     // If no valid user was found, return a generic success message
@@ -233,6 +528,15 @@ exports.joinCommunity = async (req, res) => {
       });
     }
 
+    // Banned and muted users can't join
+    const restriction = community.getRestriction(userId);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.message,
+        expiresAt: restriction.expiresAt,
+      });
+    }
+
     // Check if user is already a member (convert to string for proper comparison)
     const userIdStr = userId.toString();
     const isAlreadyMember = community.members.some(
@@ -247,9 +551,64 @@ exports.joinCommunity = async (req, res) => {
       });
     }
 
+    // A valid invite lets people straight into private and secret communities
+    if (inviteCode) {
+      const invite = await CommunityInvite.redeem(community._id, inviteCode);
+
+      if (!invite) {
+        return res.status(community.visibility === "secret" ? 404 : 400).json({
+          message: "This invite link is invalid or has expired",
+        });
+      }
+    } else if (community.visibility === "secret") {
+      return res
+        .status(403)
+        .json({ message: "This community can only be joined by invite" });
+    } else if (community.visibility === "private") {
+      if (community.getJoinRequest(userId)) {
+        return res.status(400).json({
+          message: "You already asked to join this community",
+          joinRequestPending: true,
+        });
+      }
+
+      // Answers line up with the community's membership questions
+      const answers = Array.isArray(req.body.answers) ? req.body.answers : [];
+      const missing = community.membershipQuestions.filter(
+        (entry, index) => entry.required && !String(answers[index] || "").trim()
+      );
+
+      if (missing.length > 0) {
+        return res.status(400).json({
+          message: "Please answer all required membership questions",
+          unanswered: missing.map((entry) => entry.question),
+        });
+      }
+
+      community.joinRequests.push({
+        user: userId,
+        answers: community.membershipQuestions.map((entry, index) => ({
+          question: entry.question,
+          answer: String(answers[index] || "")
+            .trim()
+            .slice(0, 1000),
+        })),
+      });
+      await community.save();
+
+      return res.status(202).json({
+        success: true,
+        message: "Your request to join has been sent to the moderators",
+        joinRequestPending: true,
+      });
+    }
+
     console.log("Adding user to community:", userId);
-    // Add user to community members
+    // Add user to community members, dropping any pending join request
     community.members.push(userId);
+    community.joinRequests = community.joinRequests.filter(
+      (request) => request.user.toString() !== userIdStr
+    );
     await community.save();
 
     // Add community to user's joined communities
@@ -283,7 +642,7 @@ exports.joinCommunity = async (req, res) => {
 // @access  Public (with optional auth)
 exports.leaveCommunity = async (req, res) => {
   try {
-    console.log("Leave community request received:", JSON.stringify(req.body));
+    console.log("Leave community request received:", req.params.id);
     console.log(
       "Authorization header:",
       req.headers.authorization ? "Present" : "Not present"
@@ -311,43 +670,13 @@ exports.leaveCommunity = async (req, res) => {
       });
     }
 
-    // Priority: Use authenticated user, then look for userId in request body
+    // Only the authenticated user can act on their own membership
     let userId = null;
 
     if (req.user) {
       // User authenticated through token
       console.log("User authenticated via token:", req.user.id);
       userId = req.user.id;
-    } else if (req.body && req.body.userId) {
-      // Check if the user ID in request body is valid
-      console.log("User ID provided in request body:", req.body.userId);
-
-      // Check if userId is in valid ObjectId format
-      if (!req.body.userId.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({
-          message: "Invalid user ID format in request",
-          provided_id: req.body.userId,
-        });
-      }
-
-      try {
-        // Try to find the user
-        const userExists = await User.findById(req.body.userId);
-
-        if (userExists) {
-          console.log("User found in database:", userExists.name);
-          userId = req.body.userId;
-        } else {
-          console.log("User ID provided but user not found in database");
-          return res.status(404).json({ message: "User not found" });
-        }
-      } catch (userError) {
-        console.error("Error finding user:", userError.message);
-        return res.status(400).json({
-          message: "Error processing user ID",
-          error: userError.message,
-        });
-      }
     }
 
     // If no valid user was found, return a generic success message
@@ -406,11 +735,12 @@ exports.leaveCommunity = async (req, res) => {
 
     await community.save();
 
-    // Remove community from user's joined communities
+    // Remove community from user's joined, notified and muted communities
     await User.findByIdAndUpdate(userId, {
       $pull: {
         joinedCommunities: community._id,
         notifiedCommunities: community._id,
+        mutedCommunities: community._id,
       },
     });
 
@@ -488,7 +818,8 @@ exports.toggleNotifications = async (req, res) => {
 
 // @desc    Create a post in community
 // @route   POST /api/community/:id/posts
-// @access  Public (was Private)
+// @access  Private (set "anonymous" to hide the author's name, moderators
+//          can set "announcement" and "notifyMembers")
 exports.createPost = async (req, res) => {
   try {
     console.log("Create post request received:", req.body);
@@ -499,56 +830,78 @@ exports.createPost = async (req, res) => {
       return res.status(404).json({ message: "Community not found" });
     }
 
-    // Get author information - priority from authentication, then userId in request, then fallback to authorName
-    let author;
-    let authorName;
+    // Author always comes from the token. Anonymous posts keep the author
+    // server-side for moderation but hide it from API responses.
+    const author = req.user.id;
+    const isAnonymous =
+      req.body.anonymous === true || req.body.anonymous === "true";
+    const authorName = isAnonymous ? "Anonymous User" : req.user.name;
 
-    if (req.user) {
-      // User is authenticated via token
-      console.log("User authenticated via token:", req.user.id);
-      author = req.user.id;
-      authorName = req.user.name;
-    } else if (req.body.userId) {
-      // User ID provided in request
-      console.log("User ID provided in request:", req.body.userId);
-
-      // Verify the user exists
-      const userExists = await User.findById(req.body.userId);
-      if (userExists) {
-        author = req.body.userId;
-        authorName = req.body.authorName || userExists.name;
-        console.log("User found in database:", userExists.name);
-      } else {
-        console.log("User ID provided but user not found in database");
-        authorName = req.body.authorName || "Anonymous User";
-      }
-    } else {
-      // Non-authenticated user - use provided name or default
-      authorName = req.body.authorName || "Anonymous User";
-      console.log("Using anonymous author:", authorName);
-    }
-
-    // If we have a valid author ID, ensure they're a member of the community
-    if (author) {
-      // Check if user is already a member
-      if (!community.members.includes(author)) {
-        console.log("Adding user to community members:", author);
-        // Add user to community members
-        community.members.push(author);
-
-        // Add community to user's joined communities
-        await User.findByIdAndUpdate(author, {
-          $addToSet: {
-            joinedCommunities: community._id,
-            notifiedCommunities: community._id,
-          },
-        });
+    console.log("User authenticated via token:", author, { isAnonymous });
+
+    // Banned and muted users can't post
+    const restriction = community.getRestriction(author);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.message,
+        expiresAt: restriction.expiresAt,
+      });
+    }
+
+    // Announcements come from the moderators, under their own name
+    const isAnnouncement =
+      req.body.announcement === true || req.body.announcement === "true";
+    const notify =
+      isAnnouncement &&
+      (req.body.notifyMembers === true || req.body.notifyMembers === "true");
+
+    if (isAnnouncement && !canManageCommunity(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Only moderators can post announcements" });
+    }
+
+    if (isAnnouncement && isAnonymous) {
+      return res
+        .status(400)
+        .json({ message: "Announcements can't be posted anonymously" });
+    }
+
+    let poll;
+    if (req.body.poll) {
+      const parsed = parsePoll(req.body.poll);
 
-        await community.save();
-        console.log("User added to community successfully");
-      } else {
-        console.log("User is already a community member");
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
       }
+      poll = parsed.poll;
+    }
+
+    // Only public communities can be joined by posting in them
+    if (community.visibility !== "public" && !community.isMember(author)) {
+      return res.status(403).json({
+        message: "Join this community before posting in it",
+      });
+    }
+
+    // Ensure the author is a member of the community
+    if (!community.members.includes(author)) {
+      console.log("Adding user to community members:", author);
+      // Add user to community members
+      community.members.push(author);
+
+      // Add community to user's joined communities
+      await User.findByIdAndUpdate(author, {
+        $addToSet: {
+          joinedCommunities: community._id,
+          notifiedCommunities: community._id,
+        },
+      });
+
+      await community.save();
+      console.log("User added to community successfully");
+    } else {
+      console.log("User is already a community member");
     }
 
     // Extract content from request - handle both direct content field and nested content
@@ -559,23 +912,19 @@ exports.createPost = async (req, res) => {
 
     console.log("Processing post data:", { title, content, authorName });
 
-    // Create post with or without authenticated author
     const postData = {
       title,
       content,
       images,
       tags,
       community: community._id,
+      author,
+      authorName,
+      isAnonymous,
+      isAnnouncement,
+      poll,
     };
 
-    // Add author if authenticated, otherwise use name
-    if (author) {
-      postData.author = author;
-    }
-
-    // Always include authorName for display purposes
-    postData.authorName = authorName;
-
     console.log("Creating post with data:", postData);
     const post = await Post.create(postData);
 
@@ -583,19 +932,34 @@ exports.createPost = async (req, res) => {
     community.posts.push(post._id);
     await community.save();
 
-    // Populate author info if available
-    if (author) {
-      await post.populate("author", "name profileImage");
+    // Populate author info (stripped from the JSON of anonymous posts)
+    await post.populate("author", "name profileImage");
+
+    // Members are emailed in the background so posting stays fast
+    if (notify) {
+      notifyMembers(community, post).catch((mailError) =>
+        console.error("Announcement notification error:", mailError.message)
+      );
     }
 
     console.log("Post created successfully:", post);
     res.status(201).json({
       success: true,
+      notifyingMembers: notify,
       data: post,
     });
   } catch (error) {
     console.error("Create post error:", error.message);
 
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
     if (error.kind === "ObjectId") {
       return res.status(404).json({ message: "Community not found" });
     }
@@ -605,28 +969,40 @@ exports.createPost = async (req, res) => {
 };
 
 // @desc    Get community posts
-// @route   GET /api/community/:id/posts
-// @access  Public
+// @route   GET /api/community/:id/posts?limit=&cursor=
+// @access  Public (optional auth, members only for private communities)
 exports.getCommunityPosts = async (req, res) => {
   try {
     const community = await Community.findById(req.params.id);
 
-    if (!community) {
+    if (
+      !community ||
+      (community.visibility === "secret" && !community.canViewContent(req.user))
+    ) {
       return res.status(404).json({ message: "Community not found" });
     }
 
-    const posts = await Post.find({ community: req.params.id })
-      .sort({ createdAt: -1 })
-      .populate("author", "name profileImage")
-      .populate({
-        path: "comments.user",
-        select: "name profileImage",
+    if (!community.canViewContent(req.user)) {
+      return res.status(403).json({
+        message: "This community is private",
+        help: "Join the community to see its posts",
       });
+    }
+
+    const pageOptions = getPostsPageOptions(req.query);
+
+    if (pageOptions.cursor === null) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const { posts, nextCursor } = await findPostsPage(community, pageOptions);
+    const viewerId = req.user && req.user.id;
 
     res.status(200).json({
       success: true,
       count: posts.length,
-      data: posts,
+      nextCursor,
+      data: posts.map((post) => post.toViewerJSON(viewerId)),
     });
   } catch (error) {
     console.error("Get community posts error:", error.message);
@@ -646,26 +1022,12 @@ exports.likePost = async (req, res) => {
   try {
     console.log("Like post request received for post:", req.params.postId);
 
-    const post = await Post.findById(req.params.postId);
-
-    if (!post) {
-      return res.status(404).json({ message: "Post not found" });
-    }
-
-    // Check if we have a user (either from auth or request body)
+    // Likes are only accepted from the authenticated user
     let userId = null;
 
     if (req.user) {
-      // From authentication
       userId = req.user.id;
       console.log("Authenticated user liking post:", userId);
-    } else if (req.body.userId) {
-      // From request body
-      const userExists = await User.findById(req.body.userId);
-      if (userExists) {
-        userId = req.body.userId;
-        console.log("User from request body liking post:", userId);
-      }
     }
 
     // If no valid user, return appropriate response
@@ -676,13 +1038,16 @@ exports.likePost = async (req, res) => {
       });
     }
 
+    const post = await findReactablePost(req, res);
+    if (!post) return;
+
     // Check if post is already liked by user
     if (post.likes.includes(userId)) {
       return res.status(400).json({ message: "Post already liked" });
     }
 
-    // Add user to post likes
-    post.likes.push(userId);
+    // Add user to post likes, replacing any other reaction
+    post.setReaction(userId, "like");
     await post.save();
 
     console.log("Post liked successfully");
@@ -690,7 +1055,7 @@ exports.likePost = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Post liked successfully",
-      likeCount: post.likes.length,
+      likeCount: post.likeCount,
       data: post,
     });
   } catch (error) {
@@ -711,26 +1076,12 @@ exports.unlikePost = async (req, res) => {
   try {
     console.log("Unlike post request received for post:", req.params.postId);
 
-    const post = await Post.findById(req.params.postId);
-
-    if (!post) {
-      return res.status(404).json({ message: "Post not found" });
-    }
-
-    // Check if we have a user (either from auth or request body)
+    // Likes are only accepted from the authenticated user
     let userId = null;
 
     if (req.user) {
-      // From authentication
       userId = req.user.id;
       console.log("Authenticated user unliking post:", userId);
-    } else if (req.body.userId) {
-      // From request body
-      const userExists = await User.findById(req.body.userId);
-      if (userExists) {
-        userId = req.body.userId;
-        console.log("User from request body unliking post:", userId);
-      }
     }
 
     // If no valid user, return appropriate response
@@ -741,6 +1092,9 @@ exports.unlikePost = async (req, res) => {
       });
     }
 
+    const post = await findReactablePost(req, res);
+    if (!post) return;
+
     // Check if post is not liked by user
     if (!post.likes.includes(userId)) {
       return res.status(400).json({ message: "Post not liked yet" });
@@ -757,7 +1111,7 @@ exports.unlikePost = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Post unliked successfully",
-      likeCount: post.likes.length,
+      likeCount: post.likeCount,
       data: post,
     });
   } catch (error) {
@@ -771,6 +1125,274 @@ exports.unlikePost = async (req, res) => {
   }
 };
 
+// @desc    React to a post, replacing your earlier reaction
+// @route   PUT /api/community/posts/:postId/reaction
+// @access  Private
+exports.reactToPost = async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: "Please choose a valid reaction",
+        allowedReactions: REACTION_TYPES,
+      });
+    }
+
+    const post = await findReactablePost(req, res);
+    if (!post) return;
+
+    if (post.getReaction(req.user.id) !== type) {
+      post.setReaction(req.user.id, type);
+      await post.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      myReaction: type,
+      reactionCounts: post.reactionCounts,
+      likeCount: post.likeCount,
+    });
+  } catch (error) {
+    console.error("React to post error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Remove your reaction from a post
+// @route   DELETE /api/community/posts/:postId/reaction
+// @access  Private
+exports.removeReaction = async (req, res) => {
+  try {
+    const post = await findReactablePost(req, res);
+    if (!post) return;
+
+    if (!post.removeReaction(req.user.id)) {
+      return res
+        .status(400)
+        .json({ message: "You haven't reacted to this post" });
+    }
+
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      myReaction: null,
+      reactionCounts: post.reactionCounts,
+      likeCount: post.likeCount,
+    });
+  } catch (error) {
+    console.error("Remove reaction error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Pin a post to the top of its community
+// @route   PUT /api/community/posts/:postId/pin
+// @access  Private (community moderators or admin)
+exports.pinPost = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+
+    if (!post || post.isHidden) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community || !canManageCommunity(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Only community moderators can pin posts" });
+    }
+
+    if (post.isPinned) {
+      return res.status(400).json({ message: "Post is already pinned" });
+    }
+
+    const pinnedCount = await Post.countDocuments({
+      community: community._id,
+      isPinned: true,
+    });
+
+    if (pinnedCount >= MAX_PINNED_POSTS) {
+      return res.status(400).json({
+        message: `A community can pin at most ${MAX_PINNED_POSTS} posts, unpin one first`,
+        maxPinned: MAX_PINNED_POSTS,
+      });
+    }
+
+    post.isPinned = true;
+    post.pinnedAt = Date.now();
+    post.pinnedBy = req.user.id;
+    await post.save();
+
+    // Moderators pinning at the same time could both pass the count above.
+    // The earliest pins are kept and a pin past the limit is taken back.
+    const keptPins = await Post.find({
+      community: community._id,
+      isPinned: true,
+    })
+      .sort({ pinnedAt: 1, _id: 1 })
+      .limit(MAX_PINNED_POSTS)
+      .select("_id");
+
+    if (!keptPins.some((pinned) => pinned._id.equals(post._id))) {
+      post.isPinned = false;
+      post.pinnedAt = undefined;
+      post.pinnedBy = undefined;
+      await post.save();
+
+      return res.status(400).json({
+        message: `A community can pin at most ${MAX_PINNED_POSTS} posts, unpin one first`,
+        maxPinned: MAX_PINNED_POSTS,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Post pinned",
+      data: post,
+    });
+  } catch (error) {
+    console.error("Pin post error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Unpin a post
+// @route   DELETE /api/community/posts/:postId/pin
+// @access  Private (community moderators or admin)
+exports.unpinPost = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community || !canManageCommunity(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Only community moderators can unpin posts" });
+    }
+
+    if (!post.isPinned) {
+      return res.status(400).json({ message: "Post is not pinned" });
+    }
+
+    post.isPinned = false;
+    post.pinnedAt = undefined;
+    post.pinnedBy = undefined;
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Post unpinned",
+      data: post,
+    });
+  } catch (error) {
+    console.error("Unpin post error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Edit a post within the edit window, keeping the previous version
+// @route   PUT /api/community/posts/:postId
+// @access  Private (author only)
+exports.updatePost = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId).select("+revisions");
+
+    if (!post || post.isHidden) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (!post.author || post.author.toString() !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to edit this post" });
+    }
+
+    const editWindowEndsAt = new Date(
+      post.createdAt.getTime() + POST_EDIT_WINDOW_MINUTES * 60 * 1000
+    );
+
+    if (editWindowEndsAt < new Date()) {
+      return res.status(403).json({
+        message: `Posts can only be edited within ${POST_EDIT_WINDOW_MINUTES} minutes of posting`,
+        editWindowEndsAt,
+      });
+    }
+
+    // Banned and muted users can't edit their posts either
+    const community = await Community.findById(post.community);
+    const restriction = community && community.getRestriction(req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.message,
+        expiresAt: restriction.expiresAt,
+      });
+    }
+
+    const { title, content, images, tags } = req.body;
+
+    const changed = post.applyEdit({ title, content, images, tags });
+
+    if (changed) {
+      await post.save();
+    }
+
+    await post.populate("author", "name profileImage");
+
+    res.status(200).json({
+      success: true,
+      message: changed ? "Post updated" : "No changes to save",
+      editWindowEndsAt,
+      data: post,
+    });
+  } catch (error) {
+    console.error("Update post error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // @desc    Delete a post
 // @route   DELETE /api/community/posts/:postId
 // @access  Private
@@ -791,19 +1413,15 @@ exports.deletePost = async (req, res) => {
     if (post.author && post.author.toString() === req.user.id) {
       console.log("User is the author of the post");
       isAuthorized = true;
+    } else if (hasPermission(req.user, PERMISSIONS.MODERATE_ANY_POST)) {
+      // Platform moderators and admins can remove posts anywhere
+      console.log(`User with role ${req.user.role} is moderating the post`);
+      isAuthorized = true;
     } else {
       // Check if user is community creator/moderator
       const community = await Community.findById(post.community);
-      const isCommunityCreator =
-        community &&
-        community.creator &&
-        community.creator.toString() === req.user.id;
-      const isModerator =
-        community &&
-        community.moderators &&
-        community.moderators.includes(req.user.id);
-
-      if (isCommunityCreator || isModerator) {
+
+      if (community && community.isModerator(req.user.id)) {
         console.log("User is community creator or moderator");
         isAuthorized = true;
       }
@@ -0,0 +1,484 @@
+const Event = require("../models/Event");
+const Community = require("../models/Community");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+// Helper to check if a user can manage events of a community
+const canManageEvents = (community, user) => {
+  return (
+    community.isModerator(user.id) ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+  );
+};
+
+// Helper to find an event that belongs to the community in the route
+const findCommunityEvent = (communityId, eventId) => {
+  return Event.findOne({ _id: eventId, community: communityId });
+};
+
+// @desc    Get events of a community
+// @route   GET /api/community/:id/events
+// @access  Public (members only for private communities)
+exports.getCommunityEvents = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community || !community.canViewContent(req.user)) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    // Set up pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    // Upcoming events by default, "past" or "all" on request
+    const filter = { community: community._id };
+    let sort = { startsAt: 1 };
+
+    if (req.query.when === "past") {
+      filter.endsAt = { $lt: new Date() };
+      sort = { startsAt: -1 };
+    } else if (req.query.when !== "all") {
+      filter.endsAt = { $gte: new Date() };
+    }
+
+    const events = await Event.find(filter)
+      .sort(sort)
+      .skip(startIndex)
+      .limit(limit)
+      .select("-waitlist")
+      .populate("createdBy", "name profileImage");
+
+    const total = await Event.countDocuments(filter);
+
+    const pagination = {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      pagination,
+      data: events,
+    });
+  } catch (error) {
+    console.error("Get community events error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get single event
+// @route   GET /api/community/:id/events/:eventId
+// @access  Public (members only for private communities)
+exports.getEvent = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community || !community.canViewContent(req.user)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const event = await findCommunityEvent(req.params.id, req.params.eventId)
+      .populate("createdBy", "name profileImage")
+      .populate("attendees.user", "name profileImage")
+      .populate("waitlist.user", "name profileImage");
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    console.error("Get event error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create event in community
+// @route   POST /api/community/:id/events
+// @access  Private (moderators only)
+exports.createEvent = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canManageEvents(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to create events in this community" });
+    }
+
+    const {
+      title,
+      description,
+      startsAt,
+      endsAt,
+      timezone,
+      locationType,
+      virtualLink,
+      venue,
+      capacity,
+    } = req.body;
+
+    const event = await Event.create({
+      title,
+      description,
+      startsAt,
+      endsAt,
+      timezone,
+      locationType,
+      virtualLink,
+      venue,
+      capacity,
+      community: community._id,
+      createdBy: req.user.id,
+    });
+
+    // Add event to community
+    community.events.push(event._id);
+    await community.save();
+
+    res.status(201).json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    console.error("Create event error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Update event
+// @route   PUT /api/community/:id/events/:eventId
+// @access  Private (moderators only)
+exports.updateEvent = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canManageEvents(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to update this event" });
+    }
+
+    const event = await findCommunityEvent(community._id, req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    // Update fields
+    const {
+      title,
+      description,
+      startsAt,
+      endsAt,
+      timezone,
+      locationType,
+      virtualLink,
+      venue,
+      capacity,
+    } = req.body;
+
+    if (title) event.title = title;
+    if (description) event.description = description;
+    if (startsAt) event.startsAt = startsAt;
+    if (endsAt) event.endsAt = endsAt;
+    if (timezone) event.timezone = timezone;
+    if (locationType) event.locationType = locationType;
+    if (virtualLink !== undefined) event.virtualLink = virtualLink;
+    if (venue !== undefined) event.venue = venue;
+    if (capacity !== undefined) event.capacity = capacity || undefined;
+    event.updatedAt = Date.now();
+
+    await event.validate();
+
+    // A new capacity is only set if the attendees still fit, checked in the
+    // update itself since RSVPs may come in meanwhile
+    if (capacity) {
+      const fits = await Event.updateOne(
+        {
+          _id: event._id,
+          $expr: { $lte: [{ $size: "$attendees" }, event.capacity] },
+        },
+        { $set: { capacity: event.capacity } }
+      );
+
+      if (fits.matchedCount === 0) {
+        return res.status(400).json({
+          message: "Capacity cannot be lower than the current attendee count",
+        });
+      }
+    }
+
+    await event.save();
+
+    // A raised capacity may free up spots for waitlisted users
+    const promoted = await Event.promoteWaitlist(event._id);
+
+    res.status(200).json({
+      success: true,
+      promotedCount: promoted.length,
+      data: await Event.findById(event._id),
+    });
+  } catch (error) {
+    console.error("Update event error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Delete event
+// @route   DELETE /api/community/:id/events/:eventId
+// @access  Private (moderators only)
+exports.deleteEvent = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canManageEvents(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to delete this event" });
+    }
+
+    const event = await findCommunityEvent(community._id, req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    // Remove event from community
+    await Community.findByIdAndUpdate(community._id, {
+      $pull: { events: event._id },
+    });
+
+    await event.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Event removed",
+    });
+  } catch (error) {
+    console.error("Delete event error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    RSVP to an event (joins the waitlist when the event is full)
+// @route   PUT /api/community/:id/events/:eventId/rsvp
+// @access  Private
+exports.rsvpEvent = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    // Only community members can RSVP
+    const userIdStr = req.user.id.toString();
+    const isMember = community.members.some(
+      (memberId) => memberId.toString() === userIdStr
+    );
+
+    if (!isMember) {
+      return res
+        .status(400)
+        .json({ message: "Not a member of this community" });
+    }
+
+    const event = await findCommunityEvent(community._id, req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (event.endsAt < new Date()) {
+      return res.status(400).json({ message: "This event has already ended" });
+    }
+
+    const isAttending = event.attendees.some(
+      (entry) => entry.user.toString() === userIdStr
+    );
+    const isWaitlisted = event.waitlist.some(
+      (entry) => entry.user.toString() === userIdStr
+    );
+
+    if (isAttending || isWaitlisted) {
+      return res.status(400).json({
+        message: isAttending
+          ? "Already attending this event"
+          : "Already on the waitlist for this event",
+        rsvpStatus: isAttending ? "attending" : "waitlisted",
+      });
+    }
+
+    // Capacity is checked in the update itself, so RSVPs coming in at once
+    // can't overfill the event. Whoever doesn't get a spot is waitlisted.
+    const notResponded = {
+      _id: event._id,
+      "attendees.user": { $ne: req.user._id },
+      "waitlist.user": { $ne: req.user._id },
+    };
+
+    let rsvpStatus = "attending";
+    let updated = await Event.findOneAndUpdate(
+      {
+        ...notResponded,
+        $expr: {
+          $or: [
+            { $not: ["$capacity"] },
+            { $lt: [{ $size: "$attendees" }, "$capacity"] },
+          ],
+        },
+      },
+      { $push: { attendees: { user: req.user._id } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      rsvpStatus = "waitlisted";
+      updated = await Event.findOneAndUpdate(
+        notResponded,
+        { $push: { waitlist: { user: req.user._id } } },
+        { new: true }
+      );
+    }
+
+    // Another request of the same user got in first
+    if (!updated) {
+      return res
+        .status(400)
+        .json({ message: "You already responded to this event" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        rsvpStatus === "attending"
+          ? "RSVP confirmed"
+          : "Event is full, you have been added to the waitlist",
+      rsvpStatus,
+      waitlistPosition:
+        rsvpStatus === "waitlisted" ? updated.waitlist.length : undefined,
+      data: updated,
+    });
+  } catch (error) {
+    console.error("RSVP event error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Cancel RSVP (frees the spot for the next waitlisted user)
+// @route   DELETE /api/community/:id/events/:eventId/rsvp
+// @access  Private
+exports.cancelRsvp = async (req, res) => {
+  try {
+    const event = await findCommunityEvent(req.params.id, req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    // Pulled in one update so RSVPs coming in at once aren't overwritten
+    const removed = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        $or: [
+          { "attendees.user": req.user._id },
+          { "waitlist.user": req.user._id },
+        ],
+      },
+      {
+        $pull: {
+          attendees: { user: req.user._id },
+          waitlist: { user: req.user._id },
+        },
+      }
+    );
+
+    if (!removed) {
+      return res.status(400).json({ message: "No RSVP found for this event" });
+    }
+
+    const promoted = await Event.promoteWaitlist(event._id);
+
+    res.status(200).json({
+      success: true,
+      message: "RSVP cancelled",
+      promotedCount: promoted.length,
+      data: await Event.findById(event._id),
+    });
+  } catch (error) {
+    console.error("Cancel RSVP error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
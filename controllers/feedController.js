@@ -0,0 +1,274 @@
+const Post = require("../models/Post");
+const Community = require("../models/Community");
+const User = require("../models/User");
+const {
+  FEED_SORTS,
+  FEED_TOP_WINDOWS,
+  DEFAULT_FEED_LIMIT,
+  MAX_FEED_LIMIT,
+} = require("../config/feed");
+const {
+  encodeCursor,
+  parseCursor,
+  buildSeekFilter,
+} = require("../services/cursorPagination");
+
+// Sort fields behind the cursor of each ranking, all descending, and their types
+const CURSOR_FIELDS = {
+  latest: ["createdAt", "_id"],
+  top: ["score", "createdAt", "_id"],
+};
+const CURSOR_TYPES = {
+  latest: ["date", "objectId"],
+  top: ["number", "date", "objectId"],
+};
+
+// Aggregation stage scoring posts for "top" ranking: every reaction and
+// visible comment counts once
+const scoreStage = {
+  $addFields: {
+    score: {
+      $add: [
+        { $size: { $ifNull: ["$likes", []] } },
+        { $size: { $ifNull: ["$reactions", []] } },
+        {
+          $size: {
+            $filter: {
+              input: { $ifNull: ["$comments", []] },
+              cond: {
+                $and: [
+                  { $ne: ["$$this.isDeleted", true] },
+                  { $ne: ["$$this.isHidden", true] },
+                ],
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+// Helper to load the communities whose posts go in a user's feed
+const getFeedCommunities = async (userId) => {
+  const user = await User.findById(userId).select(
+    "joinedCommunities mutedCommunities"
+  );
+  const muted = new Set(user.mutedCommunities.map((id) => id.toString()));
+
+  // Membership is checked on the community too, in case the user was removed
+  return Community.find({
+    _id: {
+      $in: user.joinedCommunities.filter((id) => !muted.has(id.toString())),
+    },
+    members: user._id,
+  }).select("name image");
+};
+
+// @desc    Get posts from the user's joined communities
+// @route   GET /api/feed
+// @access  Private
+exports.getFeed = async (req, res) => {
+  try {
+    const sort = req.query.sort || "latest";
+    const window = req.query.window || "week";
+
+    if (!FEED_SORTS.includes(sort)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid sort", allowedSorts: FEED_SORTS });
+    }
+
+    if (sort === "top" && !(window in FEED_TOP_WINDOWS)) {
+      return res.status(400).json({
+        message: "Invalid time window",
+        allowedWindows: Object.keys(FEED_TOP_WINDOWS),
+      });
+    }
+
+    const limit = Math.max(
+      Math.min(
+        parseInt(req.query.limit, 10) || DEFAULT_FEED_LIMIT,
+        MAX_FEED_LIMIT
+      ),
+      1
+    );
+
+    const cursor = req.query.cursor
+      ? parseCursor(req.query.cursor, CURSOR_TYPES[sort])
+      : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const communities = await getFeedCommunities(req.user.id);
+    const communityMap = new Map(
+      communities.map((community) => [community._id.toString(), community])
+    );
+
+    // Posts hidden by moderators or reports are left out
+    const filter = {
+      community: { $in: communities.map((community) => community._id) },
+      isHidden: { $ne: true },
+    };
+
+    const cursorFields = CURSOR_FIELDS[sort];
+    const scores = new Map();
+    let posts;
+
+    if (sort === "latest") {
+      if (cursor) {
+        Object.assign(filter, buildSeekFilter(cursorFields, cursor));
+      }
+
+      posts = await Post.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate("author", "name profileImage");
+    } else {
+      const days = FEED_TOP_WINDOWS[window];
+      if (days) {
+        filter.createdAt = {
+          $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+        };
+      }
+
+      const pipeline = [{ $match: filter }, scoreStage];
+
+      if (cursor) {
+        pipeline.push({ $match: buildSeekFilter(cursorFields, cursor) });
+      }
+
+      pipeline.push(
+        { $sort: { score: -1, createdAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        { $project: { revisions: 0 } }
+      );
+
+      const results = await Post.aggregate(pipeline);
+
+      results.forEach((result) =>
+        scores.set(result._id.toString(), result.score)
+      );
+      posts = results.map((result) => Post.hydrate(result));
+      await Post.populate(posts, {
+        path: "author",
+        select: "name profileImage",
+      });
+    }
+
+    const hasMore = posts.length > limit;
+    const page = posts.slice(0, limit);
+    const last = page[page.length - 1];
+
+    const data = page.map((post) => {
+      const community = communityMap.get(post.community.toString());
+
+      // Anonymous posts keep authorName "Anonymous User" and isAnonymous
+      // but never the author
+      return {
+        ...post.toViewerJSON(req.user.id),
+        community: {
+          _id: community._id,
+          name: community.name,
+          image: community.image,
+        },
+        score: scores.get(post._id.toString()),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      sort,
+      window: sort === "top" ? window : undefined,
+      nextCursor: hasMore
+        ? encodeCursor(
+            cursorFields.map((field) =>
+              field === "score" ? scores.get(last._id.toString()) : last[field]
+            )
+          )
+        : null,
+      data,
+    });
+  } catch (error) {
+    console.error("Get feed error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get communities muted in the feed
+// @route   GET /api/feed/muted
+// @access  Private
+exports.getMutedCommunities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select("mutedCommunities")
+      .populate("mutedCommunities", "name image");
+
+    res.status(200).json({
+      success: true,
+      count: user.mutedCommunities.length,
+      data: user.mutedCommunities,
+    });
+  } catch (error) {
+    console.error("Get muted communities error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Leave a community's posts out of the feed
+// @route   PUT /api/feed/muted/:communityId
+// @access  Private
+exports.muteCommunity = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.communityId);
+
+    if (!community || !community.isMember(req.user.id)) {
+      return res
+        .status(404)
+        .json({ message: "You are not a member of this community" });
+    }
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { mutedCommunities: community._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Community muted in your feed",
+    });
+  } catch (error) {
+    console.error("Mute community error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Show a muted community's posts in the feed again
+// @route   DELETE /api/feed/muted/:communityId
+// @access  Private
+exports.unmuteCommunity = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { mutedCommunities: req.params.communityId },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Community unmuted in your feed",
+    });
+  } catch (error) {
+    console.error("Unmute community error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,5 +1,14 @@
 const Job = require("../models/Job");
 const User = require("../models/User");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+// Helper to check if a user may change a job (its poster or an admin)
+const canManageJob = (job, user) => {
+  return (
+    job.postedBy.toString() === user.id ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_JOB)
+  );
+};
 
 // @desc    Get all jobs
 // @route   GET /api/job
@@ -148,7 +157,7 @@ exports.createJob = async (req, res) => {
 
 // @desc    Update job
 // @route   PUT /api/job/:id
-// @access  Private (job poster only)
+// @access  Private (job poster or admin)
 exports.updateJob = async (req, res) => {
   try {
     let job = await Job.findById(req.params.id);
@@ -157,8 +166,8 @@ exports.updateJob = async (req, res) => {
       return res.status(404).json({ message: "Job not found" });
     }
 
-    // Check job belongs to user
-    if (job.postedBy.toString() !== req.user.id) {
+    // Check job belongs to user (admins can manage any job)
+    if (!canManageJob(job, req.user)) {
       return res
         .status(403)
         .json({ message: "Not authorized to update this job" });
@@ -188,7 +197,7 @@ exports.updateJob = async (req, res) => {
 
 // @desc    Delete job
 // @route   DELETE /api/job/:id
-// @access  Private (job poster only)
+// @access  Private (job poster or admin)
 exports.deleteJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -197,8 +206,8 @@ exports.deleteJob = async (req, res) => {
       return res.status(404).json({ message: "Job not found" });
     }
 
-    // Check job belongs to user
-    if (job.postedBy.toString() !== req.user.id) {
+    // Check job belongs to user (admins can manage any job)
+    if (!canManageJob(job, req.user)) {
       return res
         .status(403)
         .json({ message: "Not authorized to delete this job" });
@@ -315,7 +324,7 @@ exports.saveJob = async (req, res) => {
 
 // @desc    Update application status (for job poster)
 // @route   PUT /api/job/:id/application/:user_id
-// @access  Private (job poster only)
+// @access  Private (job poster or admin)
 exports.updateApplicationStatus = async (req, res) => {
   try {
     const { status } = req.body;
@@ -334,8 +343,8 @@ exports.updateApplicationStatus = async (req, res) => {
       return res.status(404).json({ message: "Job not found" });
     }
 
-    // Check job belongs to user
-    if (job.postedBy.toString() !== req.user.id) {
+    // Check job belongs to user (admins can manage any job)
+    if (!canManageJob(job, req.user)) {
       return res
         .status(403)
         .json({ message: "Not authorized to update application status" });
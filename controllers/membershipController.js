@@ -0,0 +1,421 @@
+const Community = require("../models/Community");
+const CommunityInvite = require("../models/CommunityInvite");
+const User = require("../models/User");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+const { buildAppUrl } = require("../services/mailer");
+const { encodeCursor, parseCursor } = require("../services/cursorPagination");
+
+// Invites can't be valid for longer than this
+const MAX_INVITE_HOURS = 30 * 24;
+
+// Members per page of the member list
+const DEFAULT_MEMBERS_LIMIT = 50;
+const MAX_MEMBERS_LIMIT = 100;
+
+// Helper to check if a user can handle join requests and invites of a community
+const canManageMembers = (community, user) => {
+  return (
+    community.isModerator(user.id) ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+  );
+};
+
+// Helper to load the community of the route for a membership action.
+// Sends the error response and returns null when the user can't manage it.
+const findManagedCommunity = async (req, res) => {
+  const community = await Community.findById(req.params.id);
+
+  if (!community) {
+    res.status(404).json({ message: "Community not found" });
+    return null;
+  }
+
+  if (!canManageMembers(community, req.user)) {
+    res
+      .status(403)
+      .json({ message: "Not authorized to manage members of this community" });
+    return null;
+  }
+
+  return community;
+};
+
+// Helper to build the link people open to use an invite
+const buildInviteUrl = (invite) => {
+  return buildAppUrl(`/community/${invite.community}/invite/${invite.code}`);
+};
+
+// Helper to describe the role of a member in a community
+const getMemberRole = (community, userId) => {
+  if (community.isCreator(userId)) return "creator";
+  if (community.isModerator(userId)) return "moderator";
+  return "member";
+};
+
+// @desc    Get members of a community, oldest accounts first
+// @route   GET /api/community/:id/members?limit=&cursor=
+// @access  Public (optional auth, members only for private communities)
+exports.getMembers = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id).select(
+      "visibility members moderators createdBy"
+    );
+
+    if (
+      !community ||
+      (community.visibility === "secret" && !community.canViewContent(req.user))
+    ) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!community.canViewContent(req.user)) {
+      return res.status(403).json({
+        message: "This community is private",
+        help: "Join the community to see its members",
+      });
+    }
+
+    const limit = Math.max(
+      Math.min(
+        parseInt(req.query.limit, 10) || DEFAULT_MEMBERS_LIMIT,
+        MAX_MEMBERS_LIMIT
+      ),
+      1
+    );
+    const cursor = req.query.cursor
+      ? parseCursor(req.query.cursor, ["objectId"])
+      : null;
+
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const filter = { _id: { $in: community.members } };
+    if (cursor) {
+      filter._id.$gt = cursor[0];
+    }
+
+    const users = await User.find(filter)
+      .sort({ _id: 1 })
+      .limit(limit + 1)
+      .select("name profileImage");
+
+    const page = users.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      memberCount: community.memberCount,
+      nextCursor: users.length > limit ? encodeCursor([last._id]) : null,
+      data: page.map((user) => ({
+        _id: user._id,
+        name: user.name,
+        profileImage: user.profileImage,
+        role: getMemberRole(community, user._id),
+      })),
+    });
+  } catch (error) {
+    console.error("Get members error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get pending join requests of a community
+// @route   GET /api/community/:id/join-requests
+// @access  Private (moderators only)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const community = await findManagedCommunity(req, res);
+    if (!community) return;
+
+    await community.populate("joinRequests.user", "name profileImage");
+
+    res.status(200).json({
+      success: true,
+      count: community.joinRequests.length,
+      data: community.joinRequests,
+    });
+  } catch (error) {
+    console.error("Get join requests error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Approve or reject a join request
+// @route   PUT /api/community/:id/join-requests/:userId
+// @access  Private (moderators only)
+exports.respondToJoinRequest = async (req, res) => {
+  try {
+    const { action } = req.body;
+
+    if (!["approve", "reject"].includes(action)) {
+      return res
+        .status(400)
+        .json({ message: 'Action must be "approve" or "reject"' });
+    }
+
+    const community = await findManagedCommunity(req, res);
+    if (!community) return;
+
+    const request = community.getJoinRequest(req.params.userId);
+
+    if (!request) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    community.joinRequests.pull(request._id);
+
+    // Banned users stay out even if a request slipped through
+    const restriction = community.getRestriction(request.user);
+    if (action === "approve" && restriction && restriction.type === "ban") {
+      await community.save();
+      return res
+        .status(400)
+        .json({ message: "This user is banned from the community" });
+    }
+
+    if (action === "approve" && !community.isMember(request.user)) {
+      community.members.push(request.user);
+
+      await User.findByIdAndUpdate(request.user, {
+        $addToSet: {
+          joinedCommunities: community._id,
+          notifiedCommunities: community._id,
+        },
+      });
+    }
+
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      message:
+        action === "approve"
+          ? "Join request approved"
+          : "Join request rejected",
+      memberCount: community.memberCount,
+    });
+  } catch (error) {
+    console.error("Respond to join request error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Withdraw your own pending join request
+// @route   DELETE /api/community/:id/join-requests/me
+// @access  Private
+exports.cancelJoinRequest = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    const request = community && community.getJoinRequest(req.user.id);
+
+    if (!request) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    community.joinRequests.pull(request._id);
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Join request withdrawn",
+    });
+  } catch (error) {
+    console.error("Cancel join request error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Create an invite link
+// @route   POST /api/community/:id/invites
+// @access  Private (moderators only)
+exports.createInvite = async (req, res) => {
+  try {
+    const community = await findManagedCommunity(req, res);
+    if (!community) return;
+
+    const { maxUses } = req.body;
+    const expiresInHours =
+      req.body.expiresInHours !== undefined
+        ? Number(req.body.expiresInHours)
+        : undefined;
+
+    if (
+      expiresInHours !== undefined &&
+      !(expiresInHours > 0 && expiresInHours <= MAX_INVITE_HOURS)
+    ) {
+      return res.status(400).json({
+        message: `Invites can expire after at most ${MAX_INVITE_HOURS} hours`,
+      });
+    }
+
+    const invite = await CommunityInvite.create({
+      community: community._id,
+      code: CommunityInvite.generateCode(),
+      createdBy: req.user.id,
+      maxUses: maxUses || undefined,
+      expiresAt: expiresInHours
+        ? Date.now() + expiresInHours * 60 * 60 * 1000
+        : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      inviteUrl: buildInviteUrl(invite),
+      data: invite,
+    });
+  } catch (error) {
+    console.error("Create invite error:", error.message);
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      });
+    }
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get invite links of a community
+// @route   GET /api/community/:id/invites
+// @access  Private (moderators only)
+exports.getInvites = async (req, res) => {
+  try {
+    const community = await findManagedCommunity(req, res);
+    if (!community) return;
+
+    const invites = await CommunityInvite.find({ community: community._id })
+      .sort({ createdAt: -1 })
+      .populate("createdBy", "name");
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites.map((invite) => ({
+        ...invite.toObject(),
+        isUsable: invite.isUsable(),
+        inviteUrl: buildInviteUrl(invite),
+      })),
+    });
+  } catch (error) {
+    console.error("Get invites error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Revoke an invite link
+// @route   DELETE /api/community/:id/invites/:inviteId
+// @access  Private (moderators only)
+exports.revokeInvite = async (req, res) => {
+  try {
+    const community = await findManagedCommunity(req, res);
+    if (!community) return;
+
+    const invite = await CommunityInvite.findOne({
+      _id: req.params.inviteId,
+      community: community._id,
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = Date.now();
+      await invite.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invite revoked",
+    });
+  } catch (error) {
+    console.error("Revoke invite error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Preview the community behind an invite link
+// @route   GET /api/community/:id/invites/:code
+// @access  Public
+exports.getInvite = async (req, res) => {
+  try {
+    const invite = await CommunityInvite.findOne({
+      community: req.params.id,
+      code: req.params.code,
+    }).populate("community", "name description image tags visibility members");
+
+    if (!invite || !invite.community || !invite.isUsable()) {
+      return res
+        .status(404)
+        .json({ message: "This invite link is invalid or has expired" });
+    }
+
+    const { community } = invite;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        community: {
+          _id: community._id,
+          name: community.name,
+          description: community.description,
+          image: community.image,
+          tags: community.tags,
+          visibility: community.visibility,
+          memberCount: community.memberCount,
+        },
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get invite error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res
+        .status(404)
+        .json({ message: "This invite link is invalid or has expired" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
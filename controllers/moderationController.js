@@ -0,0 +1,991 @@
+const Report = require("../models/Report");
+const Post = require("../models/Post");
+const Community = require("../models/Community");
+const User = require("../models/User");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+const { sendMail, buildAppUrl } = require("../services/mailer");
+const {
+  REPORT_REASONS,
+  URGENT_REPORT_REASONS,
+  MODERATION_ACTIONS,
+  REPORT_AUTO_HIDE_THRESHOLD,
+  MAX_MUTE_HOURS,
+} = require("../config/moderation");
+
+// Helper to check if a user can work the moderation queue of a community
+const canModerate = (community, user) => {
+  return (
+    community.isModerator(user.id) ||
+    hasPermission(user, PERMISSIONS.MODERATE_ANY_POST) ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+  );
+};
+
+// Helper to check if a user can appoint and remove moderators (the creator or an admin)
+const canManageModerators = (community, user) => {
+  return (
+    community.isCreator(user.id) ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+  );
+};
+
+// Helper to check if a user outranks the member they act on. Nobody acts on
+// the creator, and only the creator or an admin acts on other moderators.
+const canActOnMember = (community, user, memberId) => {
+  if (community.isCreator(memberId)) return false;
+
+  const isModerator = community.moderators.some((modId) =>
+    modId.equals(memberId)
+  );
+
+  return !isModerator || canManageModerators(community, user);
+};
+
+// Helper to load the community of the route for a moderation action.
+// Sends the error response and returns null when the user can't moderate it.
+const findModeratedCommunity = async (req, res) => {
+  const community = await Community.findById(req.params.id);
+
+  if (!community) {
+    res.status(404).json({ message: "Community not found" });
+    return null;
+  }
+
+  if (!canModerate(community, req.user)) {
+    res
+      .status(403)
+      .json({ message: "Not authorized to moderate this community" });
+    return null;
+  }
+
+  if (req.params.userId === req.user.id) {
+    res.status(400).json({ message: "You cannot moderate yourself" });
+    return null;
+  }
+
+  if (
+    req.params.userId &&
+    !canActOnMember(community, req.user, req.params.userId)
+  ) {
+    res.status(403).json({
+      message:
+        "Only the community creator can act on moderators, and nobody on the creator",
+    });
+    return null;
+  }
+
+  return community;
+};
+
+// Helper to take a user out of a community and its member lists
+const removeMembership = async (community, userId) => {
+  const userIdStr = userId.toString();
+
+  community.members = community.members.filter(
+    (memberId) => memberId.toString() !== userIdStr
+  );
+  community.moderators = community.moderators.filter(
+    (modId) => modId.toString() !== userIdStr
+  );
+
+  await User.findByIdAndUpdate(userId, {
+    $pull: {
+      joinedCommunities: community._id,
+      notifiedCommunities: community._id,
+      mutedCommunities: community._id,
+    },
+  });
+};
+
+// Helper to hide or unhide a post or comment, reason is "reports" or "moderator"
+const setHidden = (target, hidden, reason) => {
+  target.isHidden = hidden;
+  target.hiddenAt = hidden ? Date.now() : undefined;
+  target.hiddenReason = hidden ? reason : undefined;
+};
+
+// Helper to email the community's moderators about reported content
+const alertModerators = async (community, data) => {
+  const moderators = await User.find({
+    _id: { $in: [community.createdBy, ...community.moderators] },
+  }).select("name email");
+
+  const queueUrl = buildAppUrl(`/community/${community._id}/moderation`);
+
+  await Promise.all(
+    moderators.map((moderator) =>
+      sendMail("moderationAlert", moderator.email, {
+        name: moderator.name,
+        communityName: community.name,
+        queueUrl,
+        ...data,
+      })
+    )
+  );
+};
+
+// Helper to file a report against a post or one of its comments,
+// hiding the content once enough members reported it
+const fileReport = async (req, res, post, comment) => {
+  const { reason, details } = req.body;
+
+  // Only people who can see the content can report it
+  const community = await Community.findById(post.community);
+
+  if (!community || !community.canViewContent(req.user)) {
+    return res
+      .status(404)
+      .json({ message: comment ? "Comment not found" : "Post not found" });
+  }
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({
+      message: "Please choose a valid report reason",
+      allowedReasons: REPORT_REASONS,
+    });
+  }
+
+  const target = comment || post;
+  const contentAuthor = comment ? comment.user : post.author;
+
+  if (contentAuthor && contentAuthor.toString() === req.user.id) {
+    return res
+      .status(400)
+      .json({ message: "You cannot report your own content" });
+  }
+
+  const report = await Report.create({
+    community: post.community,
+    post: post._id,
+    comment: comment ? comment._id : null,
+    contentAuthor,
+    reporter: req.user.id,
+    reason,
+    details,
+  });
+
+  const openFilter = {
+    post: post._id,
+    comment: report.comment,
+    status: "open",
+  };
+  const openReports = await Report.countDocuments(openFilter);
+
+  // Enough reports from members hide the content until a moderator decides,
+  // so accounts from outside the community can't take posts down
+  const memberReports = await Report.countDocuments({
+    ...openFilter,
+    reporter: { $in: community.members },
+  });
+  const autoHidden =
+    !target.isHidden && memberReports >= REPORT_AUTO_HIDE_THRESHOLD;
+
+  if (autoHidden) {
+    setHidden(target, true, "reports");
+    await post.save();
+
+    console.log(
+      `Auto-hid ${comment ? "comment" : "post"} ${
+        target._id
+      } after ${memberReports} reports from members`
+    );
+  }
+
+  // Moderators hear about urgent reports right away
+  const isUrgent = URGENT_REPORT_REASONS.includes(reason) && openReports === 1;
+
+  if (autoHidden || isUrgent) {
+    alertModerators(community, {
+      reason: reason.replace(/_/g, " "),
+      autoHidden,
+    }).catch((mailError) =>
+      console.error("Moderation alert mail error:", mailError.message)
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Thank you, the community moderators will review this",
+    data: {
+      id: report._id,
+      reason: report.reason,
+      status: report.status,
+      createdAt: report.createdAt,
+    },
+  });
+};
+
+// Helper to answer validation and duplicate report errors
+const handleReportError = (res, error, notFoundMessage) => {
+  if (error.code === 11000) {
+    return res
+      .status(400)
+      .json({ message: "You have already reported this content" });
+  }
+
+  if (error.name === "ValidationError") {
+    const messages = Object.values(error.errors).map((val) => val.message);
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: messages,
+    });
+  }
+
+  if (error.kind === "ObjectId") {
+    return res.status(404).json({ message: notFoundMessage });
+  }
+
+  res.status(500).json({ message: "Server error", error: error.message });
+};
+
+// @desc    Report a post to the community moderators
+// @route   POST /api/community/posts/:postId/report
+// @access  Private
+exports.reportPost = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    await fileReport(req, res, post, null);
+  } catch (error) {
+    console.error("Report post error:", error.message);
+    handleReportError(res, error, "Post not found");
+  }
+};
+
+// @desc    Report a comment to the community moderators
+// @route   POST /api/community/posts/:postId/comments/:commentId/report
+// @access  Private
+exports.reportComment = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    await fileReport(req, res, post, comment);
+  } catch (error) {
+    console.error("Report comment error:", error.message);
+    handleReportError(res, error, "Comment not found");
+  }
+};
+
+// @desc    Get the edit history of a post, oldest version first
+// @route   GET /api/community/posts/:postId/revisions
+// @access  Private (community moderators and platform moderators)
+exports.getPostRevisions = async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId).select(
+      "title content images tags community createdAt editedAt +revisions"
+    );
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community || !canModerate(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view the history of this post" });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: post.revisions.length,
+      data: {
+        current: {
+          title: post.title,
+          content: post.content,
+          images: post.images,
+          tags: post.tags,
+          editedAt: post.editedAt,
+        },
+        revisions: post.revisions,
+      },
+    });
+  } catch (error) {
+    console.error("Get post revisions error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get reported content of a community, grouped per post or comment
+// @route   GET /api/community/:id/moderation/queue
+// @access  Private (community moderators and platform moderators)
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canModerate(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to moderate this community" });
+    }
+
+    // Set up pagination
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit, 10) || 20, 1);
+    const startIndex = (page - 1) * limit;
+
+    const status = req.query.status === "resolved" ? "resolved" : "open";
+
+    // One queue item per reported post or comment, grouped and paged by the
+    // database. Urgent and hidden content first, then the most reported,
+    // oldest first.
+    const [result] = await Report.aggregate([
+      { $match: { community: community._id, status } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { post: "$post", comment: "$comment" },
+          reportId: { $first: "$_id" },
+          contentAuthor: { $first: "$contentAuthor" },
+          resolution: { $first: "$resolution" },
+          reportCount: { $sum: 1 },
+          urgent: { $max: { $in: ["$reason", URGENT_REPORT_REASONS] } },
+          firstReportedAt: { $first: "$createdAt" },
+          lastReportedAt: { $last: "$createdAt" },
+          reports: {
+            $push: {
+              id: "$_id",
+              reason: "$reason",
+              details: "$details",
+              createdAt: "$createdAt",
+            },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: Post.collection.name,
+          let: { postId: "$_id.post", commentId: "$_id.comment" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$postId"] } } },
+            {
+              $project: {
+                title: 1,
+                content: 1,
+                isAnonymous: 1,
+                isHidden: 1,
+                hiddenReason: 1,
+                comment: {
+                  $arrayElemAt: [
+                    {
+                      $filter: {
+                        input: { $ifNull: ["$comments", []] },
+                        cond: { $eq: ["$$this._id", "$$commentId"] },
+                      },
+                    },
+                    0,
+                  ],
+                },
+              },
+            },
+          ],
+          as: "post",
+        },
+      },
+      { $addFields: { post: { $arrayElemAt: ["$post", 0] } } },
+      {
+        $addFields: {
+          isHidden: {
+            $eq: [
+              {
+                $cond: [
+                  { $eq: ["$_id.comment", null] },
+                  "$post.isHidden",
+                  "$post.comment.isHidden",
+                ],
+              },
+              true,
+            ],
+          },
+        },
+      },
+      {
+        $sort: {
+          urgent: -1,
+          isHidden: -1,
+          reportCount: -1,
+          firstReportedAt: 1,
+        },
+      },
+      {
+        $facet: {
+          items: [{ $skip: startIndex }, { $limit: limit }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const groups = await Report.populate(result.items, [
+      { path: "contentAuthor", select: "name profileImage" },
+      { path: "resolution.moderator", select: "name" },
+    ]);
+
+    const items = groups.map((group) => {
+      const { post } = group;
+      const commentId = group._id.comment;
+      const target = commentId ? post && post.comment : post;
+
+      const reasons = {};
+      group.reports.forEach((report) => {
+        reasons[report.reason] = (reasons[report.reason] || 0) + 1;
+      });
+
+      return {
+        reportId: group.reportId,
+        targetType: commentId ? "comment" : "post",
+        post: post
+          ? { id: post._id, title: post.title }
+          : { id: group._id.post },
+        commentId: commentId || undefined,
+        content: target
+          ? {
+              text: commentId ? target.text : target.content,
+              isHidden: !!target.isHidden,
+              hiddenReason: target.hiddenReason,
+              isAnonymous: !commentId && !!post.isAnonymous,
+            }
+          : null,
+        // Moderators see the author even of anonymous posts
+        author: group.contentAuthor,
+        reportCount: group.reportCount,
+        reasons,
+        urgent: group.urgent,
+        firstReportedAt: group.firstReportedAt,
+        lastReportedAt: group.lastReportedAt,
+        reports: group.reports,
+        resolution: status === "resolved" ? group.resolution : undefined,
+      };
+    });
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    const pagination = {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+    };
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      pagination,
+      data: items,
+    });
+  } catch (error) {
+    console.error("Get moderation queue error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Act on reported content: hide, delete, warn the author or dismiss.
+//          Resolves every open report on the same post or comment.
+// @route   POST /api/community/:id/moderation/queue/:reportId
+// @access  Private (community moderators and platform moderators)
+exports.resolveReport = async (req, res) => {
+  try {
+    const { action } = req.body;
+    const note = req.body.note ? String(req.body.note).trim() : undefined;
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        message: "Invalid moderation action",
+        allowedActions: MODERATION_ACTIONS,
+      });
+    }
+
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canModerate(community, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to moderate this community" });
+    }
+
+    const report = await Report.findOne({
+      _id: req.params.reportId,
+      community: community._id,
+    });
+
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.status !== "open") {
+      return res
+        .status(400)
+        .json({ message: "This report has already been resolved" });
+    }
+
+    const post = await Post.findById(report.post);
+    const comment =
+      post && report.comment ? post.comments.id(report.comment) : null;
+    const target = report.comment ? comment : post;
+
+    if (!target && (action === "hide" || action === "warn")) {
+      return res
+        .status(404)
+        .json({ message: "The reported content no longer exists" });
+    }
+
+    if (action === "hide") {
+      setHidden(target, true, "moderator");
+      await post.save();
+    } else if (action === "delete" && target) {
+      if (comment) {
+        post.removeComment(comment);
+        await post.save();
+      } else {
+        await Community.findByIdAndUpdate(post.community, {
+          $pull: { posts: post._id },
+        });
+        await post.deleteOne();
+      }
+    } else if (action === "warn") {
+      const author = await User.findById(report.contentAuthor).select(
+        "name email"
+      );
+
+      if (author) {
+        sendMail("contentWarning", author.email, {
+          name: author.name,
+          communityName: community.name,
+          note,
+        }).catch((mailError) =>
+          console.error("Content warning mail error:", mailError.message)
+        );
+      }
+    } else if (
+      action === "dismiss" &&
+      target &&
+      target.hiddenReason === "reports"
+    ) {
+      // Content hidden only because of the reports comes back
+      setHidden(target, false);
+      await post.save();
+    }
+
+    const { modifiedCount } = await Report.updateMany(
+      { post: report.post, comment: report.comment, status: "open" },
+      {
+        $set: {
+          status: "resolved",
+          resolution: {
+            action,
+            moderator: req.user.id,
+            note,
+            resolvedAt: Date.now(),
+          },
+        },
+      }
+    );
+
+    console.log(
+      `Moderator ${req.user.id} resolved ${modifiedCount} reports in community ${community._id} with ${action}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Reports resolved with action: ${action}`,
+      action,
+      resolvedCount: modifiedCount,
+    });
+  } catch (error) {
+    console.error("Resolve report error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Promote a member to moderator
+// @route   PUT /api/community/:id/moderators/:userId
+// @access  Private (community creator or admin)
+exports.addModerator = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canManageModerators(community, req.user)) {
+      return res.status(403).json({
+        message: "Only the community creator can appoint moderators",
+      });
+    }
+
+    if (community.isModerator(req.params.userId)) {
+      return res
+        .status(400)
+        .json({ message: "User is already a moderator of this community" });
+    }
+
+    if (!community.isMember(req.params.userId)) {
+      return res
+        .status(400)
+        .json({ message: "Only members can become moderators" });
+    }
+
+    if (community.getRestriction(req.params.userId)) {
+      return res.status(400).json({
+        message: "Lift the user's ban or mute before making them a moderator",
+      });
+    }
+
+    community.moderators.push(req.params.userId);
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Moderator added",
+      moderators: community.moderators,
+    });
+  } catch (error) {
+    console.error("Add moderator error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community or user not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Demote a moderator back to member
+// @route   DELETE /api/community/:id/moderators/:userId
+// @access  Private (community creator or admin)
+exports.removeModerator = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+
+    if (!community) {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    if (!canManageModerators(community, req.user)) {
+      return res.status(403).json({
+        message: "Only the community creator can remove moderators",
+      });
+    }
+
+    if (community.isCreator(req.params.userId)) {
+      return res
+        .status(400)
+        .json({ message: "The community creator cannot be demoted" });
+    }
+
+    const moderatorCount = community.moderators.length;
+    community.moderators = community.moderators.filter(
+      (modId) => modId.toString() !== req.params.userId
+    );
+
+    if (community.moderators.length === moderatorCount) {
+      return res
+        .status(404)
+        .json({ message: "User is not a moderator of this community" });
+    }
+
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Moderator removed",
+      moderators: community.moderators,
+    });
+  } catch (error) {
+    console.error("Remove moderator error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get banned and muted users of a community
+// @route   GET /api/community/:id/moderation/members
+// @access  Private (community moderators and platform moderators)
+exports.getRestrictedMembers = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req, res);
+    if (!community) return;
+
+    await community.populate([
+      { path: "bans.user", select: "name profileImage" },
+      { path: "bans.bannedBy", select: "name" },
+      { path: "mutes.user", select: "name profileImage" },
+      { path: "mutes.mutedBy", select: "name" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bans: community.bans,
+        mutes: community.mutes.filter((mute) => mute.expiresAt > new Date()),
+      },
+    });
+  } catch (error) {
+    console.error("Get restricted members error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Ban a user from a community (removes them and blocks rejoining)
+// @route   PUT /api/community/:id/members/:userId/ban
+// @access  Private (community moderators and platform moderators)
+exports.banMember = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req, res);
+    if (!community) return;
+
+    const restriction = community.getRestriction(req.params.userId);
+    if (restriction && restriction.type === "ban") {
+      return res.status(400).json({ message: "User is already banned" });
+    }
+
+    const user = await User.findById(req.params.userId).select("_id");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await removeMembership(community, user._id);
+
+    // A ban replaces any mute
+    community.mutes = community.mutes.filter(
+      (mute) => !mute.user.equals(user._id)
+    );
+    community.bans.push({
+      user: user._id,
+      reason: req.body.reason,
+      bannedBy: req.user.id,
+    });
+    await community.save();
+
+    console.log(
+      `Moderator ${req.user.id} banned user ${user._id} from community ${community._id}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "User banned from the community",
+    });
+  } catch (error) {
+    console.error("Ban member error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community or user not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Lift a ban
+// @route   DELETE /api/community/:id/members/:userId/ban
+// @access  Private (community moderators and platform moderators)
+exports.unbanMember = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req, res);
+    if (!community) return;
+
+    const banCount = community.bans.length;
+    community.bans = community.bans.filter(
+      (ban) => ban.user.toString() !== req.params.userId
+    );
+
+    if (community.bans.length === banCount) {
+      return res.status(404).json({ message: "User is not banned" });
+    }
+
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Ban lifted, the user can join again",
+    });
+  } catch (error) {
+    console.error("Unban member error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Mute a member for a number of hours
+// @route   PUT /api/community/:id/members/:userId/mute
+// @access  Private (community moderators and platform moderators)
+exports.muteMember = async (req, res) => {
+  try {
+    const durationHours = Number(req.body.durationHours);
+
+    if (
+      !Number.isFinite(durationHours) ||
+      durationHours <= 0 ||
+      durationHours > MAX_MUTE_HOURS
+    ) {
+      return res.status(400).json({
+        message: `durationHours must be more than 0 and at most ${MAX_MUTE_HOURS}`,
+      });
+    }
+
+    const community = await findModeratedCommunity(req, res);
+    if (!community) return;
+
+    if (!community.isMember(req.params.userId)) {
+      return res
+        .status(404)
+        .json({ message: "User is not a member of this community" });
+    }
+
+    const expiresAt = new Date(Date.now() + durationHours * 60 * 60 * 1000);
+
+    // Muting again replaces the previous mute
+    community.mutes = community.mutes.filter(
+      (mute) => mute.user.toString() !== req.params.userId
+    );
+    community.mutes.push({
+      user: req.params.userId,
+      reason: req.body.reason,
+      mutedBy: req.user.id,
+      expiresAt,
+    });
+    await community.save();
+
+    console.log(
+      `Moderator ${req.user.id} muted user ${req.params.userId} in community ${
+        community._id
+      } until ${expiresAt.toISOString()}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member muted",
+      expiresAt,
+    });
+  } catch (error) {
+    console.error("Mute member error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Lift a mute before it expires
+// @route   DELETE /api/community/:id/members/:userId/mute
+// @access  Private (community moderators and platform moderators)
+exports.unmuteMember = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req, res);
+    if (!community) return;
+
+    const restriction = community.getRestriction(req.params.userId);
+
+    if (!restriction || restriction.type !== "mute") {
+      return res.status(404).json({ message: "User is not muted" });
+    }
+
+    community.mutes = community.mutes.filter(
+      (mute) => mute.user.toString() !== req.params.userId
+    );
+    await community.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Mute lifted",
+    });
+  } catch (error) {
+    console.error("Unmute member error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Remove a member from a community (they can join again)
+// @route   DELETE /api/community/:id/members/:userId
+// @access  Private (community moderators and platform moderators)
+exports.removeMember = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req, res);
+    if (!community) return;
+
+    if (!community.isMember(req.params.userId)) {
+      return res
+        .status(404)
+        .json({ message: "User is not a member of this community" });
+    }
+
+    await removeMembership(community, req.params.userId);
+    await community.save();
+
+    console.log(
+      `Moderator ${req.user.id} removed user ${req.params.userId} from community ${community._id}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed from the community",
+      memberCount: community.members.length,
+    });
+  } catch (error) {
+    console.error("Remove member error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Community not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
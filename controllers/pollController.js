@@ -0,0 +1,103 @@
+const Post = require("../models/Post");
+const Community = require("../models/Community");
+
+// @desc    Vote in the poll of a post, once per member
+// @route   POST /api/community/posts/:postId/poll/vote
+// @access  Private (community members)
+exports.votePoll = async (req, res) => {
+  try {
+    // Accept a single optionId or an optionIds array
+    const optionIds = [
+      ...new Set(
+        (Array.isArray(req.body.optionIds)
+          ? req.body.optionIds
+          : [req.body.optionId]
+        )
+          .filter(Boolean)
+          .map(String)
+      ),
+    ];
+
+    if (optionIds.length === 0) {
+      return res.status(400).json({ message: "Please choose an option" });
+    }
+
+    const post = await Post.findById(req.params.postId);
+
+    if (!post || post.isHidden || !post.poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+
+    const community = await Community.findById(post.community);
+
+    if (!community || !community.isMember(req.user.id)) {
+      return res
+        .status(403)
+        .json({ message: "Join this community to vote in its polls" });
+    }
+
+    // Banned and muted users can't vote
+    const restriction = community.getRestriction(req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.message,
+        expiresAt: restriction.expiresAt,
+      });
+    }
+
+    if (post.isPollClosed()) {
+      return res.status(400).json({ message: "This poll is closed" });
+    }
+
+    if (!post.poll.multipleChoice && optionIds.length > 1) {
+      return res
+        .status(400)
+        .json({ message: "This poll allows only one choice" });
+    }
+
+    const chosen = post.poll.options.filter((option) =>
+      optionIds.includes(option._id.toString())
+    );
+
+    if (chosen.length !== optionIds.length) {
+      return res.status(400).json({ message: "Unknown poll option" });
+    }
+
+    const chosenIds = chosen.map((option) => option._id);
+
+    // Only counts the vote if the user hasn't voted yet, even when two
+    // requests come in at once
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id, "poll.votes.user": { $ne: req.user._id } },
+      {
+        $push: { "poll.votes": { user: req.user._id, options: chosenIds } },
+        $inc: { "poll.options.$[option].voteCount": 1 },
+      },
+      {
+        new: true,
+        arrayFilters: [{ "option._id": { $in: chosenIds } }],
+      }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        message: "You already voted in this poll",
+        data: post.getPollView(req.user.id),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Vote recorded",
+      data: updated.getPollView(req.user.id),
+    });
+  } catch (error) {
+    console.error("Vote poll error:", error.message);
+
+    if (error.kind === "ObjectId") {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
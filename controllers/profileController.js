@@ -1,7 +1,19 @@
 const User = require("../models/User");
 const Community = require("../models/Community");
 const Job = require("../models/Job");
+const Event = require("../models/Event");
 const mongoose = require("mongoose");
+const zlib = require("zlib");
+const {
+  requestExport,
+  findCurrentExport,
+  readArchive,
+  deleteExports,
+} = require("../services/dataExport");
+
+// Fields anyone can see on a profile, account and security state stays private
+const PUBLIC_PROFILE_FIELDS =
+  "name profileImage bio title website skills experience education location socialLinks joinedCommunities createdAt";
 
 // @desc    Get current user's profile
 // @route   GET /api/profile
@@ -54,17 +66,16 @@ exports.getMyProfile = async (req, res) => {
       if (!user.education) user.education = [];
       if (!user.skills) user.skills = [];
 
+      let joinedCommunities = user.joinedCommunities;
+
       // Safely populate related data with error handling
       try {
         // Only attempt to populate if there are communities to populate
         if (user.joinedCommunities.length > 0) {
-          const communitiesPopulated = await User.findById(req.user.id)
-            .select("-password")
-            .populate("joinedCommunities", "name image memberCount");
-
-          if (communitiesPopulated && communitiesPopulated.joinedCommunities) {
-            user.joinedCommunities = communitiesPopulated.joinedCommunities;
-          }
+          joinedCommunities = await Community.findWithCounts(
+            { _id: { $in: user.joinedCommunities } },
+            "name image"
+          );
         }
 
         // Only attempt to populate if there are applied jobs to populate
@@ -109,7 +120,7 @@ exports.getMyProfile = async (req, res) => {
       // Return the user profile
       return res.status(200).json({
         success: true,
-        data: user,
+        data: { ...user.toJSON(), joinedCommunities },
       });
     } catch (dbError) {
       console.error("Database error in getMyProfile:", dbError.message);
@@ -156,17 +167,26 @@ exports.getMyProfile = async (req, res) => {
 // @access  Public
 exports.getUserProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select("-password -email -savedJobs -appliedJobs -notifiedCommunities")
-      .populate("joinedCommunities", "name image memberCount");
+    const user = await User.findById(req.params.id).select(
+      PUBLIC_PROFILE_FIELDS
+    );
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Secret communities aren't revealed on public profiles
+    const joinedCommunities = await Community.findWithCounts(
+      {
+        _id: { $in: user.joinedCommunities },
+        visibility: { $ne: "secret" },
+      },
+      "name image"
+    );
+
     res.status(200).json({
       success: true,
-      data: user,
+      data: { ...user.toJSON(), joinedCommunities },
     });
   } catch (error) {
     console.error("Get user profile error:", error.message);
@@ -218,7 +238,15 @@ exports.updateProfile = async (req, res) => {
     if (website) profileFields.website = website;
     if (phone) profileFields.phone = phone;
     if (profileImage) profileFields.profileImage = profileImage;
-    if (email) profileFields.email = email;
+
+    // Email changes need re-authentication and confirmation of the new address
+    if (email && String(email).trim().toLowerCase() !== req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email can't be changed here",
+        help: "Use PUT /api/auth/email to change your email address",
+      });
+    }
 
     // Build skills array with extra validation
     if (skills) {
@@ -667,3 +695,137 @@ exports.getSavedJobs = async (req, res) => {
     });
   }
 };
+
+// @desc    Get user's upcoming events (attending or waitlisted)
+// @route   GET /api/profile/events
+// @access  Private
+exports.getUpcomingEvents = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const events = await Event.find({
+      endsAt: { $gte: new Date() },
+      $or: [{ "attendees.user": userId }, { "waitlist.user": userId }],
+    })
+      .sort({ startsAt: 1 })
+      .select("-attendees.rsvpAt -waitlist.rsvpAt")
+      .populate("community", "name image");
+
+    // Tell the client whether the user has a seat or is still waiting
+    const eventsWithStatus = events.map((event) => {
+      const waitlistIndex = event.waitlist.findIndex(
+        (entry) => entry.user.toString() === userId.toString()
+      );
+
+      return {
+        event,
+        rsvpStatus: waitlistIndex === -1 ? "attending" : "waitlisted",
+        waitlistPosition: waitlistIndex === -1 ? undefined : waitlistIndex + 1,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: eventsWithStatus.length,
+      data: eventsWithStatus,
+    });
+  } catch (error) {
+    console.error(
+      `Get upcoming events error for user ${req.user?.id}:`,
+      error.message
+    );
+    console.error(error.stack);
+    res.status(500).json({
+      success: false,
+      message: "Server error retrieving upcoming events",
+      error: error.message,
+    });
+  }
+};
+
+// Helper to describe an export that is still being generated
+const sendExportStatus = (res, dataExport) => {
+  return res.status(202).json({
+    success: true,
+    message: "Your data export is being prepared, check back shortly",
+    data: {
+      id: dataExport._id,
+      status: dataExport.status,
+      requestedAt: dataExport.requestedAt,
+    },
+  });
+};
+
+// @desc    Download a JSON archive of the user's data, generated in the background
+// @route   GET /api/profile/export
+// @access  Private
+exports.exportData = async (req, res) => {
+  try {
+    let dataExport = await findCurrentExport(req.user.id);
+
+    if (!dataExport) {
+      dataExport = await requestExport(req.user.id);
+    }
+
+    if (dataExport.status === "failed") {
+      return res.status(500).json({
+        success: false,
+        message: "Your data export could not be generated",
+        help: "Request a new export to try again",
+        data: {
+          id: dataExport._id,
+          status: dataExport.status,
+          requestedAt: dataExport.requestedAt,
+        },
+      });
+    }
+
+    if (dataExport.status !== "ready") {
+      return sendExportStatus(res, dataExport);
+    }
+
+    const archive = await readArchive(dataExport);
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+    res.set({
+      "Content-Type": "application/json",
+      "Content-Disposition": `attachment; filename="empowher-data-export-${date}.json"`,
+      "Cache-Control": "no-store",
+    });
+
+    // Archives are stored gzipped, unpack them for clients that can't
+    if (req.acceptsEncodings("gzip")) {
+      res.set("Content-Encoding", "gzip");
+      return res.status(200).send(archive);
+    }
+
+    res.status(200).send(zlib.gunzipSync(archive));
+  } catch (error) {
+    console.error("Export data error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Start a fresh data export, replacing the previous archive
+// @route   POST /api/profile/export
+// @access  Private
+exports.requestDataExport = async (req, res) => {
+  try {
+    const currentExport = await findCurrentExport(req.user.id);
+
+    if (
+      currentExport &&
+      ["pending", "processing"].includes(currentExport.status)
+    ) {
+      return sendExportStatus(res, currentExport);
+    }
+
+    await deleteExports(req.user.id);
+    const dataExport = await requestExport(req.user.id);
+
+    sendExportStatus(res, dataExport);
+  } catch (error) {
+    console.error("Request data export error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
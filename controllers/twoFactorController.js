@@ -0,0 +1,176 @@
+const User = require("../models/User");
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+} = require("../services/twoFactor");
+const { limiters } = require("../services/bruteForce");
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// @desc    Start 2FA enrollment and get the secret to add to an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUri } = generateSecret(user.email);
+
+    // Kept aside until the user proves their app generates valid codes
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code or enter the secret, then confirm with a code",
+      data: {
+        secret,
+        otpauthUri,
+      },
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code and get recovery codes
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before confirming it" });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = Date.now();
+    await user.save();
+
+    console.log(`Two-factor authentication enabled for user ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe, they won't be shown again.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA confirm error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Disable 2FA (requires password and a code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      await limiters.loginIp.hit(req.ip);
+      return res.status(401).json({ message: "Invalid password" });
+    }
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      await limiters.loginIp.hit(req.ip);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+
+    console.log(`Two-factor authentication disabled for user ${user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("2FA disable error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Replace the recovery codes (requires a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!consumeSecondFactor(user, { code: req.body.code })) {
+      await limiters.loginIp.hit(req.ip);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes generated, the old ones no longer work",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error.message);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
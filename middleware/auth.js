@@ -1,19 +1,180 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const Impersonation = require("../models/Impersonation");
+const AuditLog = require("../models/AuditLog");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+const { isVerificationRequired } = require("../config/emailVerification");
 
 /**
- * Authentication middleware that validates JWT token
+ * Get the access token from cookies or authorization header
+ */
+const getTokenFromRequest = (req) => {
+  return (
+    req.cookies.token ||
+    req.cookies.auth_token ||
+    (req.headers.authorization && req.headers.authorization.startsWith("Bearer")
+      ? req.headers.authorization.split(" ")[1]
+      : null)
+  );
+};
+
+/**
+ * Check that the session a token was issued for has not been revoked
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) {
+    return false;
+  }
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.id,
+  });
+
+  return !!session && session.isActive();
+};
+
+/**
+ * Update the last-seen time of the session, without holding up the request
+ */
+const touchSession = (req, sessionId) => {
+  Session.touch(sessionId, req.ip).catch((error) =>
+    console.error("Session touch error:", error.message)
+  );
+};
+
+/**
+ * Write an audit log entry for a request made while impersonating, once the response is sent
+ */
+const logImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    AuditLog.create({
+      action: "impersonation.request",
+      actor: req.realUser._id,
+      subject: req.user._id,
+      impersonation: req.impersonation._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+    }).catch((error) =>
+      console.error("Impersonation audit log error:", error.message)
+    );
+  });
+};
+
+/**
+ * Authenticate a request made with an admin's impersonation token.
+ * The impersonated user becomes req.user, the admin behind it req.realUser.
+ */
+const authenticateImpersonation = async (req, res, next, decoded) => {
+  const impersonation = await Impersonation.findOne({
+    _id: decoded.imp,
+    admin: decoded.impersonatedBy,
+    user: decoded.id,
+  });
+
+  if (!impersonation || !impersonation.isActive()) {
+    return res.status(401).json({
+      message: "Impersonation ended",
+      error: "This impersonation token is no longer valid",
+    });
+  }
+
+  // The admin has to still be allowed to impersonate
+  const admin = await User.findById(decoded.impersonatedBy).select("-password");
+  if (!admin || !hasPermission(admin, PERMISSIONS.IMPERSONATE_USERS)) {
+    return res.status(403).json({
+      message: "Not authorized to impersonate users",
+    });
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) {
+    return res.status(401).json({
+      message: "User not found",
+      error: "Account may have been deleted",
+    });
+  }
+
+  req.user = user;
+  req.realUser = admin;
+  req.impersonation = impersonation;
+  res.set("X-Impersonated-By", admin.id);
+  logImpersonatedRequest(req, res);
+  next();
+};
+
+/**
+ * Authenticate a request made with a personal API key.
+ * Keys only work on routes that opted in with allowApiKey and only with the matching scope.
+ */
+const authenticateApiKey = async (req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      message: "API keys cannot be used for this endpoint",
+      help: "Login to access this resource",
+    });
+  }
+
+  const apiKey = await ApiKey.findActiveByKey(req.headers["x-api-key"]);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      message: "Invalid API key",
+      error: "The API key is unknown, expired or revoked",
+    });
+  }
+
+  if (!apiKey.hasScope(req.apiKeyScope)) {
+    return res.status(403).json({
+      message: "Not authorized to access this resource",
+      error: `API key is missing the scope: ${req.apiKeyScope}`,
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select("-password");
+  if (!user) {
+    return res.status(401).json({
+      message: "User not found",
+      error: "Account may have been deleted",
+    });
+  }
+
+  req.user = user;
+  req.realUser = user;
+  req.apiKey = apiKey;
+  ApiKey.touch(apiKey._id, req.ip).catch((error) =>
+    console.error("API key touch error:", error.message)
+  );
+  next();
+};
+
+/**
+ * Let requests authenticated with an API key that has the scope through.
+ * Must be used before authMiddleware or optionalAuthMiddleware.
+ */
+const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+/**
+ * Authentication middleware that validates JWT token or API key
  */
 const authMiddleware = async (req, res, next) => {
   try {
+    // API keys come in through their own header and take precedence
+    if (req.headers["x-api-key"]) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Get the token from cookies or authorization header
-    const token =
-      req.cookies.token ||
-      req.cookies.auth_token ||
-      (req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-        ? req.headers.authorization.split(" ")[1]
-        : null);
+    const token = getTokenFromRequest(req);
 
     // Log authentication attempt details for debugging
     console.log("Auth attempt:", {
@@ -51,6 +212,21 @@ const authMiddleware = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Impersonation tokens are backed by an impersonation, not a session
+      if (decoded.purpose === "impersonation") {
+        return await authenticateImpersonation(req, res, next, decoded);
+      }
+
+      // Check if the session behind the token is still valid
+      if (!(await isSessionActive(decoded))) {
+        console.warn(`Revoked or unknown session for user ${decoded.id}`);
+        return res.status(401).json({
+          message: "Session revoked",
+          error: "This session has been logged out",
+          help: "Please login again to continue",
+        });
+      }
+
       // Check if user exists
       const user = await User.findById(decoded.id).select("-password");
       if (!user) {
@@ -61,8 +237,11 @@ const authMiddleware = async (req, res, next) => {
         });
       }
 
-      // Attach user to request
+      // Attach user and session to request
       req.user = user;
+      req.realUser = user;
+      req.sessionId = decoded.sid;
+      touchSession(req, decoded.sid);
       next();
     } catch (tokenError) {
       // More detailed token error handling
@@ -109,14 +288,13 @@ const authMiddleware = async (req, res, next) => {
  */
 const optionalAuthMiddleware = async (req, res, next) => {
   try {
+    // API keys are only honoured on routes that allow them
+    if (req.headers["x-api-key"] && req.apiKeyScope) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Get the token from cookies or authorization header
-    const token =
-      req.cookies.token ||
-      req.cookies.auth_token ||
-      (req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-        ? req.headers.authorization.split(" ")[1]
-        : null);
+    const token = getTokenFromRequest(req);
 
     if (!token) {
       return next();
@@ -125,10 +303,23 @@ const optionalAuthMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Impersonation tokens are checked and audit-logged like on private routes
+    if (decoded.purpose === "impersonation") {
+      return await authenticateImpersonation(req, res, next, decoded);
+    }
+
+    // Treat tokens of revoked sessions as anonymous requests
+    if (!(await isSessionActive(decoded))) {
+      return next();
+    }
+
     // Check if user exists
     const user = await User.findById(decoded.id).select("-password");
     if (user) {
       req.user = user;
+      req.realUser = user;
+      req.sessionId = decoded.sid;
+      touchSession(req, decoded.sid);
     }
 
     next();
@@ -138,7 +329,104 @@ const optionalAuthMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Authorization middleware that only lets users with one of the given roles through.
+ * Must be used after authMiddleware.
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        message: "Authentication required",
+        help: "Please login to access this resource",
+      });
+    }
+
+    if (!roles.includes(req.user.role || "member")) {
+      console.warn(
+        `User ${req.user.id} with role ${req.user.role} denied access to ${req.originalUrl}`
+      );
+      return res.status(403).json({
+        message: "Not authorized to access this resource",
+        error: `Requires one of the roles: ${roles.join(", ")}`,
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Authorization middleware that only lets users whose role grants the permission through.
+ * Must be used after authMiddleware.
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        message: "Authentication required",
+        help: "Please login to access this resource",
+      });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      console.warn(
+        `User ${req.user.id} missing permission ${permission} for ${req.originalUrl}`
+      );
+      return res.status(403).json({
+        message: "Not authorized to access this resource",
+        error: `Missing permission: ${permission}`,
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Blocks the action for users who haven't verified their email yet,
+ * if the verification policy covers it. Must be used after authMiddleware.
+ */
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!isVerificationRequired(action) || req.user.emailVerified) {
+      return next();
+    }
+
+    return res.status(403).json({
+      message: "Email verification required",
+      error: `Please verify your email address before performing ${action}`,
+      help: "Use POST /api/auth/verify/resend to get a new verification link",
+    });
+  };
+};
+
+/**
+ * Blocks account-sensitive actions while an admin is impersonating the user.
+ * Must be used after authMiddleware.
+ */
+const blockWhileImpersonating = (action) => {
+  return (req, res, next) => {
+    if (!req.impersonation) {
+      return next();
+    }
+
+    console.warn(
+      `Admin ${req.realUser.id} blocked from ${action} while impersonating user ${req.user.id}`
+    );
+    return res.status(403).json({
+      message: "Not allowed while impersonating",
+      error: `Only the account owner can ${action}`,
+    });
+  };
+};
+
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
+  allowApiKey,
+  requireRole,
+  requirePermission,
+  requireVerifiedEmail,
+  blockWhileImpersonating,
 };
@@ -0,0 +1,49 @@
+/**
+ * Brute-force guard middleware that refuses the request while any of the
+ * given limiters blocks its key. Each entry pairs a limiter with a function
+ * that picks the key (IP address, email...) from the request.
+ */
+const bruteForceGuard = (...checks) => {
+  return async (req, res, next) => {
+    try {
+      for (const [limiter, getKey] of checks) {
+        const key = getKey(req);
+        if (!key) continue;
+
+        const result = await limiter.check(key);
+
+        if (!result.allowed) {
+          console.warn(
+            `Brute-force guard ${limiter.name} blocked ${req.originalUrl} for ${result.retryAfterSeconds}s`
+          );
+
+          res.set("Retry-After", String(result.retryAfterSeconds));
+          return res.status(429).json({
+            message: "Too many attempts",
+            error: `Please wait ${result.retryAfterSeconds} seconds before trying again`,
+            retryAfter: result.retryAfterSeconds,
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the attempt store is unavailable
+      console.error("Brute-force guard error:", error.message);
+      next();
+    }
+  };
+};
+
+// Key getters shared by the auth routes
+const byIp = (req) => req.ip;
+const byEmail = (req) =>
+  req.body && typeof req.body.email === "string"
+    ? req.body.email.trim().toLowerCase()
+    : null;
+
+module.exports = {
+  bruteForceGuard,
+  byIp,
+  byEmail,
+};
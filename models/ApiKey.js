@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
+
+// Marks keys in logs and secret scanners, e.g. "ehk_3f9a..."
+const KEY_PREFIX = "ehk_";
+
+// Only write last-used updates this often to keep API requests cheap
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const ApiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "API key name is required"],
+    trim: true,
+    maxlength: [100, "API key name cannot be more than 100 characters"],
+  },
+  // Hash of the key, the raw key is only shown once when it is created
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // First characters of the key so users can tell their keys apart
+  keyPreview: {
+    type: String,
+  },
+  scopes: {
+    type: [
+      {
+        type: String,
+        enum: Object.values(API_KEY_SCOPES),
+      },
+    ],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: "API key needs at least one scope",
+    },
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+ApiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Check if the key can still be used
+ApiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Check if the key was granted a scope
+ApiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+// Hash a raw key the same way refresh tokens are hashed
+ApiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+// Static method to create a key and hand out the raw value once
+ApiKeySchema.statics.generate = async function (userId, options) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+
+  const apiKey = await this.create({
+    user: userId,
+    name: options.name,
+    scopes: options.scopes,
+    expiresAt: options.expiresAt,
+    keyHash: this.hashKey(key),
+    keyPreview: key.slice(0, KEY_PREFIX.length + 6),
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find the active key matching a raw key
+ApiKeySchema.statics.findActiveByKey = async function (key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ keyHash: this.hashKey(key) });
+
+  return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+// Static method to record that a key was just used, at most once a minute
+ApiKeySchema.statics.touch = async function (apiKeyId, ip) {
+  return this.updateOne(
+    {
+      _id: apiKeyId,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(Date.now() - LAST_USED_RESOLUTION_MS) } },
+      ],
+    },
+    { $set: { lastUsedAt: Date.now(), lastUsedIp: ip } }
+  );
+};
+
+// Static method to revoke every active key of a user
+ApiKeySchema.statics.revokeAllForUser = async function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
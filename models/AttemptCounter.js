@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Shared failed-attempt counters used by the brute-force protection
+const AttemptCounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lastAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB drop counters once their window is over
+AttemptCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AttemptCounter", AttemptCounterSchema);
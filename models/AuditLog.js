@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Append-only record of privileged actions, e.g. everything done while impersonating
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+  },
+  // User who actually performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // User the action was performed on or as
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Impersonation",
+  },
+  method: {
+    type: String,
+  },
+  path: {
+    type: String,
+  },
+  statusCode: {
+    type: Number,
+  },
+  ip: {
+    type: String,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ subject: 1, createdAt: -1 });
+AuditLogSchema.index({ impersonation: 1, createdAt: 1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
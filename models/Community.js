@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+
+// Questions a private community can ask people who request to join
+const MAX_MEMBERSHIP_QUESTIONS = 5;
 
 const CommunitySchema = new mongoose.Schema({
   name: {
@@ -25,6 +29,53 @@ const CommunitySchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // public: anyone can see and join. private: listed, but only members see
+  // the content and joining needs an approved request or an invite.
+  // secret: only members know it exists, joining needs an invite.
+  visibility: {
+    type: String,
+    enum: ["public", "private", "secret"],
+    default: "public",
+  },
+  membershipQuestions: {
+    type: [
+      {
+        question: {
+          type: String,
+          required: [true, "Question text is required"],
+          trim: true,
+          maxlength: [300, "Questions cannot be more than 300 characters"],
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    validate: {
+      validator: (questions) => questions.length <= MAX_MEMBERSHIP_QUESTIONS,
+      message: `A community can ask at most ${MAX_MEMBERSHIP_QUESTIONS} membership questions`,
+    },
+  },
+  // Pending requests to join a private community
+  joinRequests: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      answers: [
+        {
+          question: String,
+          answer: String,
+        },
+      ],
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   members: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +88,43 @@ const CommunitySchema = new mongoose.Schema({
       ref: "User",
     },
   ],
+  // Banned users can't rejoin until a moderator lifts the ban
+  bans: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+      bannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Muted members stay in the community but can't post, comment or like until expiresAt
+  mutes: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+      mutedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      expiresAt: Date,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   posts: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -65,8 +153,143 @@ CommunitySchema.virtual("memberCount").get(function () {
   return this.members ? this.members.length : 0;
 });
 
-// Set to include virtuals when converting to JSON
-CommunitySchema.set("toJSON", { virtuals: true });
+// Virtual for post count
+CommunitySchema.virtual("postCount").get(function () {
+  return this.posts ? this.posts.length : 0;
+});
+
+// Virtual for event count
+CommunitySchema.virtual("eventCount").get(function () {
+  return this.events ? this.events.length : 0;
+});
+
+// Static method to list communities with their member, post and event counts.
+// The counts are taken in the database so listings don't load every id.
+// Returns plain objects, with isMember set when a viewer is given.
+CommunitySchema.statics.findWithCounts = function (filter, fields, viewerId) {
+  const projection = {};
+  fields.split(" ").forEach((field) => {
+    projection[field] = 1;
+  });
+
+  return this.aggregate([
+    { $match: filter },
+    {
+      $project: {
+        ...projection,
+        id: { $toString: "$_id" },
+        memberCount: { $size: { $ifNull: ["$members", []] } },
+        postCount: { $size: { $ifNull: ["$posts", []] } },
+        eventCount: { $size: { $ifNull: ["$events", []] } },
+        isMember: viewerId
+          ? { $in: [viewerId, { $ifNull: ["$members", []] }] }
+          : { $literal: false },
+      },
+    },
+  ]);
+};
+
+// Check if a user is the community creator or one of its moderators
+CommunitySchema.methods.isModerator = function (userId) {
+  if (!userId) return false;
+  const userIdStr = userId.toString();
+
+  return (
+    (this.createdBy && this.createdBy.toString() === userIdStr) ||
+    (this.moderators || []).some(
+      (mod) => (mod._id || mod).toString() === userIdStr
+    )
+  );
+};
+
+// Check if a user is the community creator
+CommunitySchema.methods.isCreator = function (userId) {
+  if (!userId) return false;
+  return !!this.createdBy && this.createdBy.toString() === userId.toString();
+};
+
+// Check if a user is a member of the community (members may be populated)
+CommunitySchema.methods.isMember = function (userId) {
+  if (!userId) return false;
+  const userIdStr = userId.toString();
+
+  return (this.members || []).some(
+    (member) => (member._id || member).toString() === userIdStr
+  );
+};
+
+// Check if a user can see the posts, members and events of the community:
+// everyone for public communities, otherwise members and moderators
+CommunitySchema.methods.canViewContent = function (user) {
+  if (this.visibility === "public") return true;
+  if (!user) return false;
+
+  return (
+    this.isMember(user.id) ||
+    this.isModerator(user.id) ||
+    hasPermission(user, PERMISSIONS.MODERATE_ANY_POST) ||
+    hasPermission(user, PERMISSIONS.MANAGE_ANY_COMMUNITY)
+  );
+};
+
+// Get the pending join request of a user, if any
+CommunitySchema.methods.getJoinRequest = function (userId) {
+  if (!userId) return null;
+  const userIdStr = userId.toString();
+
+  return (
+    (this.joinRequests || []).find(
+      (request) => request.user.toString() === userIdStr
+    ) || null
+  );
+};
+
+// Get the ban or unexpired mute that keeps a user from taking part, if any
+CommunitySchema.methods.getRestriction = function (userId) {
+  if (!userId) return null;
+  const userIdStr = userId.toString();
+
+  const ban = (this.bans || []).find(
+    (entry) => entry.user.toString() === userIdStr
+  );
+  if (ban) {
+    return {
+      type: "ban",
+      message: "You have been banned from this community",
+    };
+  }
+
+  const mute = (this.mutes || []).find(
+    (entry) =>
+      entry.user.toString() === userIdStr && entry.expiresAt > new Date()
+  );
+  if (mute) {
+    return {
+      type: "mute",
+      message: "You are muted in this community",
+      expiresAt: mute.expiresAt,
+    };
+  }
+
+  return null;
+};
+
+// Set to include virtuals when converting to JSON. Bans, mutes and join
+// requests are only shown to moderators through their own endpoints, and the
+// member, post and event lists, which grow without limit, are replaced by
+// their counts and paginated endpoints.
+CommunitySchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.bans;
+    delete ret.mutes;
+    delete ret.joinRequests;
+    delete ret.members;
+    delete ret.posts;
+    delete ret.events;
+    return ret;
+  },
+});
 CommunitySchema.set("toObject", { virtuals: true });
 
 module.exports = mongoose.model("Community", CommunitySchema);
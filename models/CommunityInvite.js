@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Invite link that lets people join a private or secret community directly
+const CommunityInviteSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Community",
+    required: true,
+  },
+  // Random code in the invite link
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Unlimited when not set
+  maxUses: {
+    type: Number,
+    min: [1, "An invite must allow at least one use"],
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CommunityInviteSchema.index({ community: 1, createdAt: -1 });
+
+// Check if the invite can still be used
+CommunityInviteSchema.methods.isUsable = function () {
+  return (
+    !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (!this.maxUses || this.uses < this.maxUses)
+  );
+};
+
+// Static method to generate a new invite code
+CommunityInviteSchema.statics.generateCode = function () {
+  return crypto.randomBytes(9).toString("base64url");
+};
+
+// Static method to count a use of a community's invite, only while it is still usable.
+// Returns the updated invite, or null when it can't be used.
+CommunityInviteSchema.statics.redeem = async function (communityId, code) {
+  const invite = await this.findOne({ community: communityId, code });
+
+  if (!invite || !invite.isUsable()) {
+    return null;
+  }
+
+  // Guard against two people taking the last use at once
+  const filter = { _id: invite._id, revokedAt: null };
+  if (invite.maxUses) {
+    filter.uses = { $lt: invite.maxUses };
+  }
+
+  return this.findOneAndUpdate(filter, { $inc: { uses: 1 } }, { new: true });
+};
+
+module.exports = mongoose.model("CommunityInvite", CommunityInviteSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Personal data archive generated in the background for a user
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "ready", "failed"],
+    default: "pending",
+  },
+  // Number of records in each section of the archive
+  sections: {
+    type: Map,
+    of: Number,
+  },
+  // Size of the gzipped archive, which is stored in DataExportChunk documents
+  size: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+DataExportSchema.index({ user: 1, requestedAt: -1 });
+// Let MongoDB drop archives once they can no longer be downloaded
+DataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("DataExport", DataExportSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One piece of a gzipped data export archive. Archives are split so a large
+// account never runs into the document size limit.
+const DataExportChunkSchema = new mongoose.Schema({
+  export: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DataExport",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Position of the chunk in the archive, starting at 0
+  n: {
+    type: Number,
+    required: true,
+  },
+  data: {
+    type: Buffer,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+DataExportChunkSchema.index({ export: 1, n: 1 }, { unique: true });
+DataExportChunkSchema.index({ user: 1 });
+// Dropped together with the export they belong to
+DataExportChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("DataExportChunk", DataExportChunkSchema);
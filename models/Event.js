@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+
+const EventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Event title is required"],
+    trim: true,
+  },
+  description: {
+    type: String,
+    required: [true, "Event description is required"],
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Community",
+    required: true,
+  },
+  startsAt: {
+    type: Date,
+    required: [true, "Event start time is required"],
+  },
+  endsAt: {
+    type: Date,
+    required: [true, "Event end time is required"],
+  },
+  // IANA timezone name the event is organised in (e.g. "America/New_York")
+  timezone: {
+    type: String,
+    default: "UTC",
+    validate: {
+      validator: function (value) {
+        try {
+          Intl.DateTimeFormat("en-US", { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: "Please provide a valid IANA timezone",
+    },
+  },
+  locationType: {
+    type: String,
+    enum: ["virtual", "in-person"],
+    default: "virtual",
+  },
+  virtualLink: {
+    type: String,
+    trim: true,
+  },
+  venue: {
+    name: { type: String, trim: true },
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+  },
+  // Maximum number of confirmed attendees, unlimited when not set
+  capacity: {
+    type: Number,
+    min: [1, "Capacity must be at least 1"],
+  },
+  attendees: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rsvpAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  waitlist: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      rsvpAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+EventSchema.index({ community: 1, startsAt: 1 });
+EventSchema.index({ "attendees.user": 1, endsAt: 1 });
+EventSchema.index({ "waitlist.user": 1, endsAt: 1 });
+
+// Make sure the event ends after it starts and has somewhere to happen
+EventSchema.pre("validate", function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "Event must end after it starts");
+  }
+
+  if (this.locationType === "virtual" && !this.virtualLink) {
+    this.invalidate("virtualLink", "Virtual events require a link");
+  }
+
+  if (this.locationType === "in-person" && !(this.venue && this.venue.name)) {
+    this.invalidate("venue.name", "In-person events require a venue");
+  }
+
+  next();
+});
+
+// Virtual for attendee count
+EventSchema.virtual("attendeeCount").get(function () {
+  return this.attendees ? this.attendees.length : 0;
+});
+
+// Virtual for waitlist count
+EventSchema.virtual("waitlistCount").get(function () {
+  return this.waitlist ? this.waitlist.length : 0;
+});
+
+// Virtual for remaining spots (null when capacity is unlimited)
+EventSchema.virtual("spotsLeft").get(function () {
+  if (!this.capacity) return null;
+  return Math.max(this.capacity - this.attendeeCount, 0);
+});
+
+// Set to include virtuals when converting to JSON
+EventSchema.set("toJSON", { virtuals: true });
+EventSchema.set("toObject", { virtuals: true });
+
+// Static method to move users from the waitlist into free spots, oldest RSVP
+// first. Each move is a single update guarded by the capacity, so RSVPs
+// coming in at the same time can't overfill the event.
+EventSchema.statics.promoteWaitlist = async function (eventId) {
+  const promoted = [];
+
+  for (;;) {
+    const before = await this.findOneAndUpdate(
+      {
+        _id: eventId,
+        "waitlist.0": { $exists: true },
+        $expr: {
+          $or: [
+            { $not: ["$capacity"] },
+            { $lt: [{ $size: "$attendees" }, "$capacity"] },
+          ],
+        },
+      },
+      [
+        {
+          $set: {
+            attendees: {
+              $concatArrays: [
+                "$attendees",
+                [
+                  {
+                    $mergeObjects: [
+                      { $arrayElemAt: ["$waitlist", 0] },
+                      { rsvpAt: "$$NOW" },
+                    ],
+                  },
+                ],
+              ],
+            },
+            waitlist: { $slice: ["$waitlist", 1, { $size: "$waitlist" }] },
+          },
+        },
+      ]
+    );
+
+    if (!before) return promoted;
+
+    promoted.push(before.waitlist[0].user);
+  }
+};
+
+module.exports = mongoose.model("Event", EventSchema);
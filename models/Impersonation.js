@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// An admin acting as another user for support, backs the impersonation token
+const ImpersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: [true, "A reason for the impersonation is required"],
+    trim: true,
+    maxlength: [500, "Reason cannot be more than 500 characters"],
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ImpersonationSchema.index({ admin: 1, createdAt: -1 });
+ImpersonationSchema.index({ user: 1, createdAt: -1 });
+
+// Check if the impersonation token can still be used
+ImpersonationSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Impersonation", ImpersonationSchema);
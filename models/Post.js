@@ -1,4 +1,63 @@
 const mongoose = require("mongoose");
+const {
+  MAX_POST_REVISIONS,
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  REACTION_TYPES,
+} = require("../config/posts");
+
+// Poll attached to a post. Votes record who picked what so every member
+// votes once, the counts on the options are what gets shown.
+const PollSchema = new mongoose.Schema({
+  options: {
+    type: [
+      {
+        text: {
+          type: String,
+          required: [true, "Poll option text is required"],
+          trim: true,
+          maxlength: [200, "Poll options cannot be more than 200 characters"],
+        },
+        voteCount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    validate: {
+      validator: (options) =>
+        options.length >= MIN_POLL_OPTIONS &&
+        options.length <= MAX_POLL_OPTIONS,
+      message: `A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`,
+    },
+  },
+  // Let members pick more than one option
+  multipleChoice: {
+    type: Boolean,
+    default: false,
+  },
+  // Open until closed by date, forever when not set
+  closesAt: {
+    type: Date,
+  },
+  votes: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      options: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+      ],
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+});
 
 const PostSchema = new mongoose.Schema({
   title: {
@@ -24,32 +83,92 @@ const PostSchema = new mongoose.Schema({
     type: String,
     default: "Anonymous User",
   },
+  // Posted anonymously by an authenticated user: the author is kept for
+  // moderation but left out of the JSON sent to clients
+  isAnonymous: {
+    type: Boolean,
+    default: false,
+  },
   community: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Community",
     required: true,
   },
+  // Users who reacted with "like", kept as a plain list for older clients
   likes: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
   ],
-  comments: [
+  // Every other reaction, a user has at most one reaction per post
+  reactions: [
     {
       user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
         required: true,
       },
+      type: {
+        type: String,
+        enum: REACTION_TYPES.filter((type) => type !== "like"),
+        required: true,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  comments: [
+    {
+      // Dropped from placeholders when the author deletes their account
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: function () {
+          return !this.isDeleted;
+        },
+      },
       text: {
         type: String,
         required: true,
+        trim: true,
+        maxlength: [5000, "Comment cannot be more than 5000 characters"],
+      },
+      // Comment this one replies to, null for top-level comments
+      parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      depth: {
+        type: Number,
+        default: 0,
+      },
+      // Deleted comments that still have replies are kept as placeholders
+      isDeleted: {
+        type: Boolean,
+        default: false,
+      },
+      // Hidden by moderators or after too many reports
+      isHidden: {
+        type: Boolean,
+        default: false,
+      },
+      hiddenAt: {
+        type: Date,
+      },
+      hiddenReason: {
+        type: String,
+        enum: ["reports", "moderator"],
       },
       createdAt: {
         type: Date,
         default: Date.now,
       },
+      updatedAt: {
+        type: Date,
+      },
     },
   ],
   tags: [
@@ -58,6 +177,61 @@ const PostSchema = new mongoose.Schema({
       trim: true,
     },
   ],
+  // Only set on poll posts
+  poll: {
+    type: PollSchema,
+    default: undefined,
+  },
+  // Announcements can only be posted by moderators and may email the members
+  isAnnouncement: {
+    type: Boolean,
+    default: false,
+  },
+  // Pinned by moderators, listed before the other posts of the community
+  isPinned: {
+    type: Boolean,
+    default: false,
+  },
+  pinnedAt: {
+    type: Date,
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Hidden posts stay in the database for the moderation queue but are not listed
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
+  hiddenAt: {
+    type: Date,
+  },
+  hiddenReason: {
+    type: String,
+    enum: ["reports", "moderator"],
+  },
+  // Set when the author edits the post
+  editedAt: {
+    type: Date,
+  },
+  // Earlier versions of the post, oldest first, only shown to moderators
+  revisions: {
+    type: [
+      {
+        title: String,
+        content: String,
+        images: [String],
+        tags: [String],
+        // When this version was replaced by an edit
+        replacedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -68,18 +242,233 @@ const PostSchema = new mongoose.Schema({
   },
 });
 
-// Virtual for like count
+PostSchema.index({ community: 1, isPinned: -1, pinnedAt: -1, createdAt: -1 });
+PostSchema.index({ community: 1, createdAt: -1, _id: -1 });
+
+// Virtual for whether the post was edited after publishing
+PostSchema.virtual("isEdited").get(function () {
+  return !!this.editedAt;
+});
+
+// Virtual for reaction counts per type
+PostSchema.virtual("reactionCounts").get(function () {
+  const counts = {};
+  REACTION_TYPES.forEach((type) => {
+    counts[type] = 0;
+  });
+
+  counts.like = this.likes ? this.likes.length : 0;
+  (this.reactions || []).forEach((reaction) => {
+    counts[reaction.type] += 1;
+  });
+
+  return counts;
+});
+
+// Virtual for like count, counting every reaction so older clients that
+// only know about likes still show how many people reacted
 PostSchema.virtual("likeCount").get(function () {
-  return this.likes.length;
+  return (
+    (this.likes ? this.likes.length : 0) +
+    (this.reactions ? this.reactions.length : 0)
+  );
 });
 
 // Virtual for comment count
 PostSchema.virtual("commentCount").get(function () {
-  return this.comments.length;
+  if (!this.comments) return 0;
+  return this.comments.filter(
+    (comment) => !comment.isDeleted && !comment.isHidden
+  ).length;
 });
 
-// Set to include virtuals when converting to JSON
-PostSchema.set("toJSON", { virtuals: true });
+// Hide what a deleted or hidden comment said and who wrote it, keeping the placeholder
+const maskComment = (comment) => {
+  if (comment.isDeleted) {
+    return { ...comment, text: "[deleted]", user: null };
+  }
+  if (comment.isHidden) {
+    return { ...comment, text: "[hidden by moderators]", user: null };
+  }
+  return comment;
+};
+
+// Set to include virtuals when converting to JSON, hiding anonymous authors
+// and masking deleted and hidden comments. Revisions are only shown to moderators through
+// their own endpoint, and poll votes are replaced by the results anyone may
+// see (use getPollView for a member).
+PostSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.isAnonymous) {
+      delete ret.author;
+    }
+    if (Array.isArray(ret.comments)) {
+      ret.comments = ret.comments.map(maskComment);
+    }
+    delete ret.revisions;
+    if (ret.poll && typeof doc.getPollView === "function") {
+      ret.poll = doc.getPollView();
+    }
+    return ret;
+  },
+});
 PostSchema.set("toObject", { virtuals: true });
 
+PostSchema.statics.maskComment = maskComment;
+
+// Check if the poll stopped taking votes
+PostSchema.methods.isPollClosed = function () {
+  return !!(
+    this.poll &&
+    this.poll.closesAt &&
+    this.poll.closesAt <= new Date()
+  );
+};
+
+// Get the poll as a member sees it: results only once they voted or the poll closed
+PostSchema.methods.getPollView = function (userId) {
+  if (!this.poll) return null;
+
+  const userIdStr = userId ? userId.toString() : null;
+  const vote = userIdStr
+    ? this.poll.votes.find(
+        (entry) => entry.user && entry.user.toString() === userIdStr
+      )
+    : null;
+  const isClosed = this.isPollClosed();
+  const showResults = isClosed || !!vote;
+
+  return {
+    options: this.poll.options.map((option) => ({
+      _id: option._id,
+      text: option.text,
+      voteCount: showResults ? option.voteCount : undefined,
+    })),
+    multipleChoice: this.poll.multipleChoice,
+    closesAt: this.poll.closesAt,
+    isClosed,
+    hasVoted: !!vote,
+    myVotes: vote ? vote.options : [],
+    resultsHidden: !showResults,
+    totalVoters: showResults ? this.poll.votes.length : undefined,
+  };
+};
+
+// Get the reaction a user left on the post, if any
+PostSchema.methods.getReaction = function (userId) {
+  if (!userId) return null;
+  const userIdStr = userId.toString();
+
+  if ((this.likes || []).some((like) => like.toString() === userIdStr)) {
+    return "like";
+  }
+
+  const reaction = (this.reactions || []).find(
+    (entry) => entry.user.toString() === userIdStr
+  );
+  return reaction ? reaction.type : null;
+};
+
+// Remove the reaction of a user and return its type. Call save() afterwards.
+PostSchema.methods.removeReaction = function (userId) {
+  const previous = this.getReaction(userId);
+  const userIdStr = userId.toString();
+
+  if (previous === "like") {
+    this.likes = this.likes.filter((like) => like.toString() !== userIdStr);
+  } else if (previous) {
+    this.reactions = this.reactions.filter(
+      (entry) => entry.user.toString() !== userIdStr
+    );
+  }
+
+  return previous;
+};
+
+// Set the reaction of a user, replacing any earlier one. Call save() afterwards.
+PostSchema.methods.setReaction = function (userId, type) {
+  this.removeReaction(userId);
+
+  if (type === "like") {
+    this.likes.push(userId);
+  } else {
+    this.reactions.push({ user: userId, type });
+  }
+};
+
+// Convert to JSON with the poll and reaction as the given user sees them
+PostSchema.methods.toViewerJSON = function (userId) {
+  const json = this.toJSON();
+  if (this.poll) {
+    json.poll = this.getPollView(userId);
+  }
+  if (userId) {
+    json.myReaction = this.getReaction(userId);
+  }
+  return json;
+};
+
+// Apply an edit by the author, keeping the current version as a revision.
+// Returns false when nothing changed. Load with +revisions and call save() afterwards.
+PostSchema.methods.applyEdit = function (changes) {
+  const fields = ["title", "content", "images", "tags"];
+  const changed = fields.filter(
+    (field) =>
+      changes[field] !== undefined &&
+      JSON.stringify(changes[field]) !== JSON.stringify(this[field])
+  );
+
+  if (changed.length === 0) return false;
+
+  this.revisions.push({
+    title: this.title,
+    content: this.content,
+    images: this.images,
+    tags: this.tags,
+  });
+  if (this.revisions.length > MAX_POST_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_POST_REVISIONS);
+  }
+
+  changed.forEach((field) => {
+    this[field] = changes[field];
+  });
+  this.editedAt = Date.now();
+  this.updatedAt = Date.now();
+
+  return true;
+};
+
+// Check if any comment replies to the given comment
+PostSchema.methods.hasReplies = function (commentId) {
+  const commentIdStr = commentId.toString();
+
+  return this.comments.some(
+    (comment) => comment.parent && comment.parent.toString() === commentIdStr
+  );
+};
+
+// Remove a comment, keeping a placeholder when other comments reply to it
+// and dropping placeholders left without replies. Call save() afterwards.
+PostSchema.methods.removeComment = function (comment) {
+  if (this.hasReplies(comment._id)) {
+    comment.isDeleted = true;
+    comment.updatedAt = Date.now();
+    return;
+  }
+
+  let parentId = comment.parent;
+  comment.deleteOne();
+
+  while (parentId) {
+    const parent = this.comments.id(parentId);
+    if (!parent || !parent.isDeleted || this.hasReplies(parentId)) {
+      break;
+    }
+    parentId = parent.parent;
+    parent.deleteOne();
+  }
+};
+
 module.exports = mongoose.model("Post", PostSchema);
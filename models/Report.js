@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const { REPORT_REASONS, MODERATION_ACTIONS } = require("../config/moderation");
+
+// A member flagging a post or comment for the community's moderators
+const ReportSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Community",
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  // Set when the report is about a comment of the post
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Author of the reported content, kept for anonymous posts too
+  contentAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: "Please choose a valid report reason",
+    },
+    required: [true, "A reason is required"],
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Details cannot be more than 1000 characters"],
+  },
+  status: {
+    type: String,
+    enum: ["open", "resolved"],
+    default: "open",
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One report per member and piece of content
+ReportSchema.index({ post: 1, comment: 1, reporter: 1 }, { unique: true });
+ReportSchema.index({ community: 1, status: 1, createdAt: 1 });
+ReportSchema.index({ contentAuthor: 1, "resolution.action": 1 });
+
+module.exports = mongoose.model("Report", ReportSchema);
@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// Only write last-seen updates this often to keep authenticated requests cheap
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Rotated-out refresh token hashes kept per session for reuse detection
+const MAX_ROTATED_TOKEN_HASHES = 50;
+
+// Build a short "Browser on OS" label from a user agent
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    ["Edge", /Edg(e|A|iOS)?\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\/|CriOS\//],
+    ["Firefox", /Firefox\/|FxiOS\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return "Unknown device";
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Hash of the current refresh token, the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hashes of refresh tokens already rotated out, used to detect reuse
+  rotatedTokenHashes: [
+    {
+      type: String,
+    },
+  ],
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+  },
+  // Device the session was started from
+  device: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ rotatedTokenHashes: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Hash a raw refresh token the same way reset tokens are hashed
+SessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Static method to start a new session and hand out its refresh token
+SessionSchema.statics.createForUser = async function (userId, client = {}) {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  const session = await this.create({
+    user: userId,
+    device: describeDevice(client.userAgent),
+    userAgent: client.userAgent,
+    ip: client.ip,
+    refreshTokenHash: this.hashToken(refreshToken),
+    expiresAt: Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000,
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting a token that was already rotated out revokes the whole session,
+// since it means the token was copied.
+SessionSchema.statics.rotate = async function (refreshToken, ip) {
+  const tokenHash = this.hashToken(refreshToken);
+  const newRefreshToken = crypto.randomBytes(40).toString("hex");
+
+  // Swapped in a single update, so the same token can't be rotated twice
+  // by requests coming in at once
+  const update = {
+    refreshTokenHash: this.hashToken(newRefreshToken),
+    lastUsedAt: Date.now(),
+  };
+  if (ip) update.ip = ip;
+
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: update,
+      $push: {
+        rotatedTokenHashes: {
+          $each: [tokenHash],
+          $slice: -MAX_ROTATED_TOKEN_HASHES,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await this.findOne({ rotatedTokenHashes: tokenHash });
+
+    if (reused && !reused.revokedAt) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}`);
+      reused.revokedAt = Date.now();
+      reused.revokedReason = "refresh_token_reuse";
+      await reused.save();
+    }
+
+    return null;
+  }
+
+  return { session, refreshToken: newRefreshToken };
+};
+
+// Static method to record that a session was just used, at most every few minutes
+SessionSchema.statics.touch = async function (sessionId, ip) {
+  return this.updateOne(
+    {
+      _id: sessionId,
+      lastUsedAt: { $lt: new Date(Date.now() - LAST_SEEN_RESOLUTION_MS) },
+    },
+    { $set: { lastUsedAt: Date.now(), ip } }
+  );
+};
+
+// Static method to revoke a single session
+SessionSchema.statics.revoke = async function (sessionId, reason) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke every active session of a user
+SessionSchema.statics.revokeAllForUser = async function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+};
+
+SessionSchema.statics.describeDevice = describeDevice;
+
+module.exports = mongoose.model("Session", SessionSchema);
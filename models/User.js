@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/roles");
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -18,12 +19,22 @@ const UserSchema = new mongoose.Schema({
       "Please provide a valid email",
     ],
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: [true, "Password is required"],
     minlength: [6, "Password must be at least 6 characters"],
     select: false,
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: "member",
+  },
   profileImage: {
     type: String,
     default: "",
@@ -116,18 +127,79 @@ const UserSchema = new mongoose.Schema({
       ref: "Community",
     },
   ],
+  // Joined communities left out of the home feed
+  mutedCommunities: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Community",
+    },
+  ],
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Single-use passwordless login link, hashed like the reset token
+  magicLinkToken: String,
+  magicLinkExpire: Date,
+  // New address waiting for confirmation through the emailed link
+  pendingEmail: String,
+  emailChangeToken: String,
+  emailChangeExpire: Date,
+  // TOTP two-factor authentication, secrets are stored encrypted
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // Set after too many failed logins, cleared by waiting or the emailed unlock link
+  loginLockedUntil: Date,
+  unlockToken: String,
+  unlockTokenExpire: Date,
+  // Account deletion waiting for its grace period, cancelled by logging in again
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// Emailed tokens never leave the server, not even to their owner
+UserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.emailChangeToken;
+    delete ret.emailChangeExpire;
+    delete ret.magicLinkToken;
+    delete ret.magicLinkExpire;
+    delete ret.unlockToken;
+    delete ret.unlockTokenExpire;
+    return ret;
+  },
+});
+
 // Hash password before save
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
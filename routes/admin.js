@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getUsers,
+  updateUserRole,
+  impersonateUser,
+  getAuditLogs,
+} = require("../controllers/adminController");
+const { authMiddleware, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+
+// All admin routes require the user management permission
+router.use(authMiddleware, requirePermission(PERMISSIONS.MANAGE_USERS));
+
+router.get("/users", getUsers);
+router.put("/users/:id/role", updateUserRole);
+router.post(
+  "/users/:id/impersonate",
+  requirePermission(PERMISSIONS.IMPERSONATE_USERS),
+  impersonateUser
+);
+router.get("/audit-logs", getAuditLogs);
+
+module.exports = router;
@@ -3,21 +3,170 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
   logout,
+  logoutAll,
   getMe,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  loginTwoFactor,
+  getSessions,
+  revokeSession,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  deleteAccount,
+  requestMagicLink,
+  consumeMagicLink,
 } = require("../controllers/authController");
-const { authMiddleware } = require("../middleware/auth");
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactorController");
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+const {
+  authMiddleware,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const { bruteForceGuard, byIp, byEmail } = require("../middleware/bruteForce");
+const { limiters } = require("../services/bruteForce");
 
 // Public routes
 router.post("/register", register);
-router.post("/login", login);
-router.post("/forgotpassword", forgotPassword);
-router.post("/resetpassword/:resettoken", resetPassword);
+router.post(
+  "/login",
+  bruteForceGuard([limiters.loginIp, byIp], [limiters.loginAccount, byEmail]),
+  login
+);
+router.post(
+  "/login/2fa",
+  bruteForceGuard([limiters.loginIp, byIp]),
+  loginTwoFactor
+);
+router.post(
+  "/forgotpassword",
+  bruteForceGuard(
+    [limiters.forgotPasswordIp, byIp],
+    [limiters.forgotPasswordAccount, byEmail]
+  ),
+  forgotPassword
+);
+router.post(
+  "/resetpassword/:resettoken",
+  bruteForceGuard([limiters.resetPasswordIp, byIp]),
+  resetPassword
+);
+router.post(
+  "/magic-link",
+  bruteForceGuard(
+    [limiters.magicLinkIp, byIp],
+    [limiters.magicLinkAccount, byEmail]
+  ),
+  requestMagicLink
+);
+router.post(
+  "/magic-link/:logintoken",
+  bruteForceGuard([limiters.magicLinkConsumeIp, byIp]),
+  consumeMagicLink
+);
+router.get("/unlock/:unlocktoken", unlockAccount);
+router.get("/email/confirm/:changetoken", confirmEmailChange);
+router.post("/refresh", refresh);
+router.get("/verify/:token", verifyEmail);
 
 // Protected routes
 router.get("/me", authMiddleware, getMe);
+router.delete(
+  "/me",
+  authMiddleware,
+  blockWhileImpersonating("delete the account"),
+  bruteForceGuard([limiters.loginIp, byIp]),
+  deleteAccount
+);
 router.get("/logout", authMiddleware, logout);
+router.post(
+  "/logout-all",
+  authMiddleware,
+  blockWhileImpersonating("log out all devices"),
+  logoutAll
+);
+router.get("/sessions", authMiddleware, getSessions);
+router.delete(
+  "/sessions/:id",
+  authMiddleware,
+  blockWhileImpersonating("log out devices"),
+  revokeSession
+);
+router.put(
+  "/password",
+  authMiddleware,
+  blockWhileImpersonating("change the password"),
+  bruteForceGuard([limiters.loginIp, byIp]),
+  changePassword
+);
+router.put(
+  "/email",
+  authMiddleware,
+  blockWhileImpersonating("change the email address"),
+  bruteForceGuard([limiters.loginIp, byIp]),
+  requestEmailChange
+);
+router.post("/verify/resend", authMiddleware, resendVerification);
+
+// Personal API keys
+router.get("/api-keys", authMiddleware, getApiKeys);
+router.post(
+  "/api-keys",
+  authMiddleware,
+  blockWhileImpersonating("create API keys"),
+  createApiKey
+);
+router.delete(
+  "/api-keys/:id",
+  authMiddleware,
+  blockWhileImpersonating("revoke API keys"),
+  revokeApiKey
+);
+
+// Two-factor authentication, only the account owner can change it
+const blockTwoFactorChanges = blockWhileImpersonating(
+  "change two-factor authentication"
+);
+
+router.post(
+  "/2fa/setup",
+  authMiddleware,
+  blockTwoFactorChanges,
+  setupTwoFactor
+);
+router.post(
+  "/2fa/confirm",
+  authMiddleware,
+  blockTwoFactorChanges,
+  confirmTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authMiddleware,
+  blockTwoFactorChanges,
+  bruteForceGuard([limiters.loginIp, byIp]),
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  blockTwoFactorChanges,
+  bruteForceGuard([limiters.loginIp, byIp]),
+  regenerateRecoveryCodes
+);
 
 module.exports = router;
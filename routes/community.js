@@ -5,6 +5,7 @@ const {
   getCommunity,
   createCommunity,
   updateCommunity,
+  deleteCommunity,
   joinCommunity,
   leaveCommunity,
   toggleNotifications,
@@ -12,29 +13,157 @@ const {
   getCommunityPosts,
   likePost,
   unlikePost,
+  reactToPost,
+  removeReaction,
+  updatePost,
   deletePost,
+  pinPost,
+  unpinPost,
 } = require("../controllers/communityController");
+const {
+  getCommunityEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  rsvpEvent,
+  cancelRsvp,
+} = require("../controllers/eventController");
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+} = require("../controllers/commentController");
+const {
+  reportPost,
+  reportComment,
+  getPostRevisions,
+  getModerationQueue,
+  resolveReport,
+  addModerator,
+  removeModerator,
+  getRestrictedMembers,
+  banMember,
+  unbanMember,
+  muteMember,
+  unmuteMember,
+  removeMember,
+} = require("../controllers/moderationController");
+const {
+  getMembers,
+  getJoinRequests,
+  respondToJoinRequest,
+  cancelJoinRequest,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInvite,
+} = require("../controllers/membershipController");
+const { votePoll } = require("../controllers/pollController");
 const {
   authMiddleware,
   optionalAuthMiddleware,
+  requireVerifiedEmail,
+  allowApiKey,
 } = require("../middleware/auth");
+const { VERIFICATION_ACTIONS } = require("../config/emailVerification");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
 
 // Public routes
-router.get("/", getCommunities);
-router.get("/:id", getCommunity);
-router.get("/:id/posts", getCommunityPosts);
+router.get("/", optionalAuthMiddleware, getCommunities);
+router.get("/:id", optionalAuthMiddleware, getCommunity);
+router.get("/:id/posts", optionalAuthMiddleware, getCommunityPosts);
+router.get("/:id/members", optionalAuthMiddleware, getMembers);
 router.put("/:id/join", optionalAuthMiddleware, joinCommunity);
-router.post("/:id/posts", optionalAuthMiddleware, createPost);
+router.get("/:id/invites/:code", getInvite);
 
 // Post interaction routes
 router.post("/posts/:postId/like", optionalAuthMiddleware, likePost);
 router.delete("/posts/:postId/like", optionalAuthMiddleware, unlikePost);
+router.put("/posts/:postId/reaction", authMiddleware, reactToPost);
+router.delete("/posts/:postId/reaction", authMiddleware, removeReaction);
+router.put("/posts/:postId", authMiddleware, updatePost);
 router.delete("/posts/:postId", authMiddleware, deletePost);
+router.get("/posts/:postId/revisions", authMiddleware, getPostRevisions);
+router.put("/posts/:postId/pin", authMiddleware, pinPost);
+router.post("/posts/:postId/poll/vote", authMiddleware, votePoll);
+router.delete("/posts/:postId/pin", authMiddleware, unpinPost);
+router.post("/posts/:postId/report", authMiddleware, reportPost);
+
+// Comment routes
+router.get("/posts/:postId/comments", optionalAuthMiddleware, getComments);
+router.post(
+  "/posts/:postId/comments",
+  allowApiKey(API_KEY_SCOPES.COMMUNITY_POST),
+  authMiddleware,
+  addComment
+);
+router.post(
+  "/posts/:postId/comments/:commentId/replies",
+  allowApiKey(API_KEY_SCOPES.COMMUNITY_POST),
+  authMiddleware,
+  addComment
+);
+router.put("/posts/:postId/comments/:commentId", authMiddleware, updateComment);
+router.delete(
+  "/posts/:postId/comments/:commentId",
+  authMiddleware,
+  deleteComment
+);
+router.post(
+  "/posts/:postId/comments/:commentId/report",
+  authMiddleware,
+  reportComment
+);
 
 // Protected routes
-router.post("/", authMiddleware, createCommunity);
+router.post(
+  "/",
+  authMiddleware,
+  requireVerifiedEmail(VERIFICATION_ACTIONS.CREATE_COMMUNITY),
+  createCommunity
+);
+router.post(
+  "/:id/posts",
+  allowApiKey(API_KEY_SCOPES.COMMUNITY_POST),
+  authMiddleware,
+  createPost
+);
 router.put("/:id", authMiddleware, updateCommunity);
+router.delete("/:id", authMiddleware, deleteCommunity);
 router.put("/:id/leave", optionalAuthMiddleware, leaveCommunity);
 router.put("/:id/notifications", authMiddleware, toggleNotifications);
 
+// Event routes
+router.get("/:id/events", optionalAuthMiddleware, getCommunityEvents);
+router.get("/:id/events/:eventId", optionalAuthMiddleware, getEvent);
+router.post("/:id/events", authMiddleware, createEvent);
+router.put("/:id/events/:eventId", authMiddleware, updateEvent);
+router.delete("/:id/events/:eventId", authMiddleware, deleteEvent);
+router.put("/:id/events/:eventId/rsvp", authMiddleware, rsvpEvent);
+router.delete("/:id/events/:eventId/rsvp", authMiddleware, cancelRsvp);
+
+// Moderation routes
+router.get("/:id/moderation/queue", authMiddleware, getModerationQueue);
+router.post("/:id/moderation/queue/:reportId", authMiddleware, resolveReport);
+router.get("/:id/moderation/members", authMiddleware, getRestrictedMembers);
+
+// Moderator and member management routes
+router.put("/:id/moderators/:userId", authMiddleware, addModerator);
+router.delete("/:id/moderators/:userId", authMiddleware, removeModerator);
+router.put("/:id/members/:userId/ban", authMiddleware, banMember);
+router.delete("/:id/members/:userId/ban", authMiddleware, unbanMember);
+router.put("/:id/members/:userId/mute", authMiddleware, muteMember);
+router.delete("/:id/members/:userId/mute", authMiddleware, unmuteMember);
+router.delete("/:id/members/:userId", authMiddleware, removeMember);
+
+// Join request and invite routes
+router.get("/:id/join-requests", authMiddleware, getJoinRequests);
+router.delete("/:id/join-requests/me", authMiddleware, cancelJoinRequest);
+router.put("/:id/join-requests/:userId", authMiddleware, respondToJoinRequest);
+router.get("/:id/invites", authMiddleware, getInvites);
+router.post("/:id/invites", authMiddleware, createInvite);
+router.delete("/:id/invites/:inviteId", authMiddleware, revokeInvite);
+
 module.exports = router;
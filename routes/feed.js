@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getFeed,
+  getMutedCommunities,
+  muteCommunity,
+  unmuteCommunity,
+} = require("../controllers/feedController");
+const { authMiddleware } = require("../middleware/auth");
+
+// Protected routes
+router.get("/", authMiddleware, getFeed);
+router.get("/muted", authMiddleware, getMutedCommunities);
+router.put("/muted/:communityId", authMiddleware, muteCommunity);
+router.delete("/muted/:communityId", authMiddleware, unmuteCommunity);
+
+module.exports = router;
@@ -13,20 +13,33 @@ const {
 const {
   authMiddleware,
   optionalAuthMiddleware,
+  requireVerifiedEmail,
+  allowApiKey,
 } = require("../middleware/auth");
+const { VERIFICATION_ACTIONS } = require("../config/emailVerification");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
+
+const allowJobsWriteKey = allowApiKey(API_KEY_SCOPES.JOBS_WRITE);
 
 // Public routes
 router.get("/", getJobs);
 router.get("/:id", getJob);
 
 // Protected routes
-router.post("/", authMiddleware, createJob);
-router.put("/:id", authMiddleware, updateJob);
-router.delete("/:id", authMiddleware, deleteJob);
-router.put("/:id/apply", authMiddleware, applyForJob);
-router.put("/:id/save", authMiddleware, saveJob);
+router.post(
+  "/",
+  allowJobsWriteKey,
+  authMiddleware,
+  requireVerifiedEmail(VERIFICATION_ACTIONS.CREATE_JOB),
+  createJob
+);
+router.put("/:id", allowJobsWriteKey, authMiddleware, updateJob);
+router.delete("/:id", allowJobsWriteKey, authMiddleware, deleteJob);
+router.put("/:id/apply", allowJobsWriteKey, authMiddleware, applyForJob);
+router.put("/:id/save", allowJobsWriteKey, authMiddleware, saveJob);
 router.put(
   "/:id/application/:user_id",
+  allowJobsWriteKey,
   authMiddleware,
   updateApplicationStatus
 );
@@ -11,8 +11,16 @@ const {
   getJoinedCommunities,
   getAppliedJobs,
   getSavedJobs,
+  getUpcomingEvents,
+  exportData,
+  requestDataExport,
 } = require("../controllers/profileController");
-const { authMiddleware } = require("../middleware/auth");
+const {
+  authMiddleware,
+  allowApiKey,
+  blockWhileImpersonating,
+} = require("../middleware/auth");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
 
 // Public routes
 router.get("/user/:id", getUserProfile);
@@ -25,7 +33,30 @@ router.delete("/experience/:exp_id", authMiddleware, deleteExperience);
 router.put("/education", authMiddleware, addEducation);
 router.delete("/education/:edu_id", authMiddleware, deleteEducation);
 router.get("/communities", authMiddleware, getJoinedCommunities);
-router.get("/jobs/applied", authMiddleware, getAppliedJobs);
-router.get("/jobs/saved", authMiddleware, getSavedJobs);
+router.get(
+  "/jobs/applied",
+  allowApiKey(API_KEY_SCOPES.JOBS_READ),
+  authMiddleware,
+  getAppliedJobs
+);
+router.get(
+  "/jobs/saved",
+  allowApiKey(API_KEY_SCOPES.JOBS_READ),
+  authMiddleware,
+  getSavedJobs
+);
+router.get("/events", authMiddleware, getUpcomingEvents);
+router.get(
+  "/export",
+  authMiddleware,
+  blockWhileImpersonating("export account data"),
+  exportData
+);
+router.post(
+  "/export",
+  authMiddleware,
+  blockWhileImpersonating("export account data"),
+  requestDataExport
+);
 
 module.exports = router;
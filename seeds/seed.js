@@ -7,6 +7,7 @@ const User = require("../models/User");
 const Community = require("../models/Community");
 const Job = require("../models/Job");
 const Post = require("../models/Post");
+const Event = require("../models/Event");
 
 // Sample data
 const users = [
@@ -14,6 +15,8 @@ const users = [
     name: "Admin User",
     email: "admin@example.com",
     password: "password123",
+    emailVerified: true,
+    role: "admin",
     bio: "Platform administrator and community manager",
     skills: ["Leadership", "Community Building", "Project Management"],
     location: "New York, NY",
@@ -22,6 +25,7 @@ const users = [
     name: "Jane Smith",
     email: "jane@example.com",
     password: "password123",
+    emailVerified: true,
     bio: "Software Engineer with 5 years of experience",
     skills: ["JavaScript", "React", "Node.js", "MongoDB"],
     location: "San Francisco, CA",
@@ -30,6 +34,7 @@ const users = [
     name: "Sarah Johnson",
     email: "sarah@example.com",
     password: "password123",
+    emailVerified: true,
     bio: "UX/UI Designer passionate about creating intuitive user experiences",
     skills: ["UI Design", "User Research", "Figma", "Adobe XD"],
     location: "Austin, TX",
@@ -145,6 +150,7 @@ const seedDatabase = async () => {
     await Community.deleteMany({});
     await Job.deleteMany({});
     await Post.deleteMany({});
+    await Event.deleteMany({});
 
     console.log("Database cleared");
 
@@ -221,14 +227,6 @@ const seedDatabase = async () => {
         community: createdCommunities[0]._id,
         tags: ["Welcome", "Introduction"],
       },
-      {
-        title: "Upcoming Virtual Networking Event",
-        content:
-          "Join us for a virtual networking event next Friday at 6 PM EST. We will have breakout rooms, guest speakers, and more!",
-        author: createdUsers[1]._id,
-        community: createdCommunities[0]._id,
-        tags: ["Event", "Networking"],
-      },
     ];
 
     for (const post of posts) {
@@ -242,6 +240,39 @@ const seedDatabase = async () => {
 
     console.log(`${posts.length} posts created`);
 
+    // Create an event in the first community, one week from now at 6 PM EST
+    const startsAt = new Date();
+    startsAt.setUTCDate(startsAt.getUTCDate() + 7);
+    startsAt.setUTCHours(23, 0, 0, 0);
+
+    const events = [
+      {
+        title: "Virtual Networking Event",
+        description:
+          "Join us for a virtual networking event. We will have breakout rooms, guest speakers, and more!",
+        community: createdCommunities[0]._id,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + 2 * 60 * 60 * 1000),
+        timezone: "America/New_York",
+        locationType: "virtual",
+        virtualLink: "https://meet.example.com/women-in-tech-networking",
+        capacity: 50,
+        attendees: [{ user: createdUsers[1]._id }],
+        createdBy: createdUsers[0]._id,
+      },
+    ];
+
+    for (const event of events) {
+      const newEvent = await Event.create(event);
+
+      // Add event to community
+      await Community.findByIdAndUpdate(event.community, {
+        $push: { events: newEvent._id },
+      });
+    }
+
+    console.log(`${events.length} events created`);
+
     console.log("Database seeded successfully");
     process.exit(0);
   } catch (error) {
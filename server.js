@@ -5,17 +5,31 @@ require("dotenv").config();
 const connectDB = require("./config/db");
 const { authMiddleware, optionalAuthMiddleware } = require("./middleware/auth");
 const mongoose = require("mongoose");
+const { startAccountDeletionJob } = require("./services/accountDeletion");
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const communityRoutes = require("./routes/community");
 const profileRoutes = require("./routes/profile");
 const jobRoutes = require("./routes/job");
+const adminRoutes = require("./routes/admin");
+const feedRoutes = require("./routes/feed");
 
 // Initialize app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust the reverse proxy so req.ip is the client address (used for rate limiting)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+
+  if (process.env.TRUST_PROXY === "true") {
+    app.set("trust proxy", true);
+  } else {
+    app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
+}
+
 // Enhance CORS configuration for better frontend-backend communication
 const corsOptions = {
   origin: process.env.FRONTEND_URL || [
@@ -39,6 +53,7 @@ const corsOptions = {
     "Accept",
     "Origin",
     "x-auth-token",
+    "X-API-Key",
     "Cache-Control",
   ],
   exposedHeaders: ["Content-Range", "X-Content-Range"],
@@ -96,6 +111,9 @@ connectDB().then(async (connection) => {
   } catch (error) {
     console.error("Error initializing saved_jobs collection:", error);
   }
+
+  // Purge accounts whose deletion grace period is over
+  startAccountDeletionJob();
 });
 
 // Routes
@@ -103,6 +121,8 @@ app.use("/api/auth", authRoutes);
 app.use("/api/community", communityRoutes);
 app.use("/api/profile", profileRoutes);
 app.use("/api/job", jobRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/feed", feedRoutes);
 
 // Add a special route for jobs/save to match the FastAPI endpoint
 app.post("/api/jobs/save", optionalAuthMiddleware, async (req, res) => {
@@ -0,0 +1,294 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Community = require("../models/Community");
+const Post = require("../models/Post");
+const Job = require("../models/Job");
+const Event = require("../models/Event");
+const Session = require("../models/Session");
+const DataExport = require("../models/DataExport");
+const DataExportChunk = require("../models/DataExportChunk");
+const ApiKey = require("../models/ApiKey");
+const Report = require("../models/Report");
+const CommunityInvite = require("../models/CommunityInvite");
+
+// Days between requesting deletion and the data being purged
+const DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Hand over or remove the communities created by the user.
+ * Ownership goes to the longest-serving other moderator, then to the
+ * longest-standing member. Communities nobody else is in are deleted.
+ */
+const transferOwnedCommunities = async (userId) => {
+  const userIdStr = userId.toString();
+  const communities = await Community.find({ createdBy: userId });
+
+  for (const community of communities) {
+    const otherModerators = community.moderators.filter(
+      (modId) => modId.toString() !== userIdStr
+    );
+    const otherMembers = community.members.filter(
+      (memberId) => memberId.toString() !== userIdStr
+    );
+    const newOwner = otherModerators[0] || otherMembers[0];
+
+    if (!newOwner) {
+      await Post.deleteMany({ community: community._id });
+      await Event.deleteMany({ community: community._id });
+      await Report.deleteMany({ community: community._id });
+      await CommunityInvite.deleteMany({ community: community._id });
+      await User.updateMany(
+        {
+          $or: [
+            { notifiedCommunities: community._id },
+            { mutedCommunities: community._id },
+          ],
+        },
+        {
+          $pull: {
+            notifiedCommunities: community._id,
+            mutedCommunities: community._id,
+          },
+        }
+      );
+      await community.deleteOne();
+      console.log(`Deleted community ${community._id} left without members`);
+      continue;
+    }
+
+    community.createdBy = newOwner;
+    if (!community.moderators.some((modId) => modId.equals(newOwner))) {
+      community.moderators.push(newOwner);
+    }
+    await community.save();
+
+    console.log(
+      `Transferred community ${community._id} from ${userIdStr} to ${newOwner}`
+    );
+  }
+};
+
+/**
+ * Remove the user's comments. Comments that have replies are kept as
+ * "[deleted]" placeholders without author so the threads stay intact.
+ */
+const removeComments = async (userId) => {
+  const userIdStr = userId.toString();
+  const posts = await Post.find({ "comments.user": userId });
+
+  for (const post of posts) {
+    const repliedTo = new Set(
+      post.comments
+        .filter((comment) => comment.parent)
+        .map((comment) => comment.parent.toString())
+    );
+
+    post.comments
+      .filter(
+        (comment) => comment.user && comment.user.toString() === userIdStr
+      )
+      .forEach((comment) => {
+        if (repliedTo.has(comment._id.toString())) {
+          comment.isDeleted = true;
+          comment.user = undefined;
+          comment.text = "[deleted]";
+        } else {
+          comment.deleteOne();
+        }
+      });
+
+    await post.save();
+  }
+};
+
+/**
+ * Remove the user from events, handing their seats to the waitlist
+ */
+const removeFromEvents = async (userId) => {
+  const rsvpFilter = {
+    $or: [{ "attendees.user": userId }, { "waitlist.user": userId }],
+  };
+  const events = await Event.find(rsvpFilter).select("_id");
+
+  // Pulled and promoted with single updates, RSVPs may come in meanwhile
+  await Event.updateMany(rsvpFilter, {
+    $pull: { attendees: { user: userId }, waitlist: { user: userId } },
+  });
+
+  for (const event of events) {
+    await Event.promoteWaitlist(event._id);
+  }
+
+  // Events the user organised now belong to the community owner
+  const createdEvents = await Event.find({ createdBy: userId }).populate(
+    "community",
+    "createdBy"
+  );
+
+  for (const event of createdEvents) {
+    if (!event.community) {
+      await event.deleteOne();
+      continue;
+    }
+
+    event.createdBy = event.community.createdBy;
+    await event.save();
+  }
+};
+
+/**
+ * Remove the jobs the user posted and every reference to them
+ */
+const removePostedJobs = async (userId) => {
+  const jobs = await Job.find({ postedBy: userId }).select("_id");
+  const jobIds = jobs.map((job) => job._id);
+
+  if (jobIds.length) {
+    await User.updateMany(
+      {
+        $or: [
+          { savedJobs: { $in: jobIds } },
+          { "appliedJobs.job": { $in: jobIds } },
+        ],
+      },
+      {
+        $pull: {
+          savedJobs: { $in: jobIds },
+          appliedJobs: { job: { $in: jobIds } },
+        },
+      }
+    );
+    await Job.deleteMany({ _id: { $in: jobIds } });
+  }
+};
+
+/**
+ * Permanently delete a user and clean up or anonymize everything that
+ * points at them
+ */
+const purgeUser = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  // Communities first, so owned events are reassigned to the new owner
+  await transferOwnedCommunities(id);
+  await Community.updateMany(
+    {
+      $or: [
+        { members: id },
+        { moderators: id },
+        { "bans.user": id },
+        { "mutes.user": id },
+        { "joinRequests.user": id },
+      ],
+    },
+    {
+      $pull: {
+        members: id,
+        moderators: id,
+        bans: { user: id },
+        mutes: { user: id },
+        joinRequests: { user: id },
+      },
+    }
+  );
+  await CommunityInvite.deleteMany({ createdBy: id });
+
+  // Posts stay for the conversation around them, without the author
+  await Post.updateMany(
+    { author: id },
+    {
+      $unset: { author: "" },
+      $set: { authorName: "Deleted User", isAnonymous: false },
+    }
+  );
+  await Post.updateMany({ likes: id }, { $pull: { likes: id } });
+  await Post.updateMany(
+    { "reactions.user": id },
+    { $pull: { reactions: { user: id } } }
+  );
+  // Poll votes stay counted, only who cast them is forgotten
+  await Post.updateMany(
+    { "poll.votes.user": id },
+    { $unset: { "poll.votes.$[vote].user": "" } },
+    { arrayFilters: [{ "vote.user": id }] }
+  );
+  await removeComments(id);
+
+  await removeFromEvents(id);
+
+  // Reports they filed go, reports about their content stay for the moderators
+  await Report.deleteMany({ reporter: id });
+  await Report.updateMany(
+    { contentAuthor: id },
+    { $unset: { contentAuthor: "" } }
+  );
+
+  await removePostedJobs(id);
+  await Job.updateMany(
+    { "applicants.user": id },
+    { $pull: { applicants: { user: id } } }
+  );
+
+  // Jobs saved through the FastAPI-compatible routes use string user ids
+  await mongoose.connection.db
+    .collection("saved_jobs")
+    .deleteMany({ user_id: id.toString() });
+
+  await Session.deleteMany({ user: id });
+  await DataExportChunk.deleteMany({ user: id });
+  await DataExport.deleteMany({ user: id });
+  await ApiKey.deleteMany({ user: id });
+  await User.deleteOne({ _id: id });
+
+  console.log(`Purged user ${id}`);
+};
+
+/**
+ * Purge every account whose deletion grace period is over
+ */
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  }).select("_id");
+
+  for (const user of dueUsers) {
+    try {
+      await purgeUser(user._id);
+    } catch (error) {
+      // Leave the account for the next run rather than stopping the batch
+      console.error(`Error purging user ${user._id}:`, error.message);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+/**
+ * Run purgeDueAccounts periodically in this process
+ */
+const startAccountDeletionJob = () => {
+  const run = () =>
+    purgeDueAccounts()
+      .then((count) => {
+        if (count) console.log(`Account deletion job purged ${count} users`);
+      })
+      .catch((error) =>
+        console.error("Account deletion job error:", error.message)
+      );
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  purgeUser,
+  purgeDueAccounts,
+  startAccountDeletionJob,
+};
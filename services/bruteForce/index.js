@@ -0,0 +1,169 @@
+const createMemoryStore = require("./stores/memory");
+const createMongoStore = require("./stores/mongo");
+
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store = null;
+
+/**
+ * Get the configured attempt store, creating it on first use.
+ * BRUTE_FORCE_STORE picks it: "memory" (default) or "mongo" to share
+ * counters between instances.
+ */
+const getStore = () => {
+  if (!store) {
+    const name = process.env.BRUTE_FORCE_STORE || "memory";
+
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown brute-force store: ${name}`);
+    }
+
+    store = factory();
+  }
+
+  return store;
+};
+
+/**
+ * Replace the attempt store, e.g. with a custom shared store
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+/**
+ * Create a limiter that counts attempts per key inside a time window.
+ * After `freeAttempts` attempts every further one has to wait an
+ * exponentially growing delay, and after `maxAttempts` the key is
+ * blocked until the window is over.
+ */
+const createLimiter = ({
+  name,
+  maxAttempts,
+  windowMs,
+  freeAttempts = maxAttempts,
+  baseDelayMs = 1000,
+  maxDelayMs = 30 * 1000,
+}) => {
+  const storeKey = (key) => `${name}:${String(key).toLowerCase()}`;
+
+  // Delay required before the next attempt after `count` attempts
+  const delayFor = (count) => {
+    if (count < freeAttempts) return 0;
+    return Math.min(baseDelayMs * 2 ** (count - freeAttempts), maxDelayMs);
+  };
+
+  return {
+    name,
+    maxAttempts,
+
+    // Check if another attempt is currently allowed for the key
+    check: async (key) => {
+      const entry = await getStore().get(storeKey(key));
+      if (!entry) return { allowed: true, count: 0 };
+
+      const now = Date.now();
+
+      if (entry.count >= maxAttempts) {
+        return {
+          allowed: false,
+          count: entry.count,
+          retryAfterSeconds: Math.ceil((entry.expiresAt - now) / 1000),
+        };
+      }
+
+      const waitMs = entry.lastAt + delayFor(entry.count) - now;
+      if (waitMs > 0) {
+        return {
+          allowed: false,
+          count: entry.count,
+          retryAfterSeconds: Math.ceil(waitMs / 1000),
+        };
+      }
+
+      return { allowed: true, count: entry.count };
+    },
+
+    // Record an attempt (a failed login, a reset request...) for the key
+    hit: async (key) => {
+      const entry = await getStore().hit(storeKey(key), windowMs);
+      return { count: entry.count, exceeded: entry.count >= maxAttempts };
+    },
+
+    // Forget all attempts of the key, e.g. after a successful login
+    reset: async (key) => {
+      await getStore().reset(storeKey(key));
+    },
+  };
+};
+
+const limiters = {
+  // Failed logins from one IP address, across all accounts
+  loginIp: createLimiter({
+    name: "login-ip",
+    maxAttempts: envInt("LOGIN_MAX_ATTEMPTS_PER_IP", 20),
+    freeAttempts: 5,
+    windowMs: 15 * 60 * 1000,
+  }),
+  // Failed logins for one account, reaching the limit locks the account
+  loginAccount: createLimiter({
+    name: "login-account",
+    maxAttempts: envInt("LOGIN_MAX_ATTEMPTS_PER_ACCOUNT", 5),
+    freeAttempts: 3,
+    windowMs: 15 * 60 * 1000,
+  }),
+  // Password reset requests per IP and per email address
+  forgotPasswordIp: createLimiter({
+    name: "forgot-password-ip",
+    maxAttempts: 10,
+    windowMs: 60 * 60 * 1000,
+  }),
+  forgotPasswordAccount: createLimiter({
+    name: "forgot-password-account",
+    maxAttempts: 3,
+    windowMs: 60 * 60 * 1000,
+  }),
+  // Invalid reset tokens submitted from one IP address
+  resetPasswordIp: createLimiter({
+    name: "reset-password-ip",
+    maxAttempts: 10,
+    freeAttempts: 3,
+    windowMs: 15 * 60 * 1000,
+  }),
+  // Magic login link requests per IP and per email address
+  magicLinkIp: createLimiter({
+    name: "magic-link-ip",
+    maxAttempts: 10,
+    windowMs: 60 * 60 * 1000,
+  }),
+  magicLinkAccount: createLimiter({
+    name: "magic-link-account",
+    maxAttempts: 3,
+    windowMs: 60 * 60 * 1000,
+  }),
+  // Invalid magic link tokens submitted from one IP address
+  magicLinkConsumeIp: createLimiter({
+    name: "magic-link-consume-ip",
+    maxAttempts: 10,
+    freeAttempts: 3,
+    windowMs: 15 * 60 * 1000,
+  }),
+};
+
+// How long an account stays locked after too many failed logins
+const LOCKOUT_MINUTES = envInt("LOGIN_LOCKOUT_MINUTES", 30);
+
+module.exports = {
+  limiters,
+  createLimiter,
+  getStore,
+  setStore,
+  storeFactories,
+  LOCKOUT_MINUTES,
+};
@@ -0,0 +1,47 @@
+/**
+ * In-process attempt store. Fast and dependency free, but every
+ * instance keeps its own counters.
+ */
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  // Periodically drop expired entries so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, cleanupIntervalMs);
+  cleanup.unref();
+
+  return {
+    name: "memory",
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return { ...entry };
+    },
+
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = entries.get(key);
+
+      if (!entry || entry.expiresAt <= now) {
+        entry = { count: 0, expiresAt: now + windowMs };
+        entries.set(key, entry);
+      }
+
+      entry.count += 1;
+      entry.lastAt = now;
+
+      return { ...entry };
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,60 @@
+const AttemptCounter = require("../../../models/AttemptCounter");
+
+// Convert a counter document into the plain entry shape the limiters use
+const toEntry = (doc) => ({
+  count: doc.count,
+  lastAt: doc.lastAt ? doc.lastAt.getTime() : undefined,
+  expiresAt: doc.expiresAt.getTime(),
+});
+
+/**
+ * MongoDB attempt store, shared by every instance of the API
+ */
+const createMongoStore = () => {
+  return {
+    name: "mongo",
+
+    get: async (key) => {
+      const doc = await AttemptCounter.findOne({
+        _id: key,
+        expiresAt: { $gt: new Date() },
+      });
+
+      return doc ? toEntry(doc) : null;
+    },
+
+    hit: async (key, windowMs) => {
+      const now = new Date();
+
+      // Count the attempt inside the current window if there is one
+      let doc = await AttemptCounter.findOneAndUpdate(
+        { _id: key, expiresAt: { $gt: now } },
+        { $inc: { count: 1 }, $set: { lastAt: now } },
+        { new: true }
+      );
+
+      // Otherwise start a new window
+      if (!doc) {
+        doc = await AttemptCounter.findOneAndUpdate(
+          { _id: key },
+          {
+            $set: {
+              count: 1,
+              lastAt: now,
+              expiresAt: new Date(now.getTime() + windowMs),
+            },
+          },
+          { new: true, upsert: true }
+        );
+      }
+
+      return toEntry(doc);
+    },
+
+    reset: async (key) => {
+      await AttemptCounter.deleteOne({ _id: key });
+    },
+  };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+/**
+ * Opaque cursors for keyset pagination.
+ * A cursor holds the sort values of the last item on a page, the next page
+ * continues right after it, so items added in the meantime don't shift pages.
+ */
+
+/**
+ * Encode the sort values of the last item of a page
+ */
+const encodeCursor = (values) => {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+};
+
+/**
+ * Decode a cursor back into its sort values, null when it isn't valid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decode a cursor and cast its values to the given types
+ * ("number", "date" or "objectId"), null when it doesn't match them
+ */
+const parseCursor = (cursor, types) => {
+  const values = decodeCursor(cursor);
+
+  if (!values || values.length !== types.length) return null;
+
+  const parsed = values.map((value, index) => {
+    switch (types[index]) {
+      case "number":
+        return typeof value === "number" ? value : null;
+      case "date": {
+        const date = new Date(value);
+        return typeof value === "string" && !isNaN(date.getTime())
+          ? date
+          : null;
+      }
+      case "objectId":
+        return mongoose.Types.ObjectId.isValid(value)
+          ? new mongoose.Types.ObjectId(value)
+          : null;
+      default:
+        return null;
+    }
+  });
+
+  return parsed.includes(null) ? null : parsed;
+};
+
+/**
+ * Build a filter for items after the cursor when sorting descending on
+ * every field, e.g. ["createdAt", "_id"] with the decoded values
+ */
+const buildSeekFilter = (fields, values) => ({
+  $or: fields.map((field, index) => {
+    const clause = {};
+
+    fields.slice(0, index).forEach((previous, previousIndex) => {
+      clause[previous] = values[previousIndex];
+    });
+    clause[field] = { $lt: values[index] };
+
+    return clause;
+  }),
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseCursor,
+  buildSeekFilter,
+};
@@ -0,0 +1,358 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Community = require("../models/Community");
+const Post = require("../models/Post");
+const Job = require("../models/Job");
+const Event = require("../models/Event");
+const Session = require("../models/Session");
+const DataExport = require("../models/DataExport");
+const DataExportChunk = require("../models/DataExportChunk");
+const Report = require("../models/Report");
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Hours a finished archive can be downloaded
+const EXPORT_EXPIRE_HOURS =
+  parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS, 10) || 48;
+
+// Exports stuck this long were lost with a restarted process
+const STALE_EXPORT_MS = 30 * 60 * 1000;
+
+// Archives are stored in pieces of this many bytes, well below the 16 MB
+// document limit
+const ARCHIVE_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// Credentials and tokens that never leave the server, even in an export
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "magicLinkToken",
+  "magicLinkExpire",
+  "emailChangeToken",
+  "emailChangeExpire",
+  "unlockToken",
+  "unlockTokenExpire",
+  "__v",
+];
+
+const SECTION_DESCRIPTIONS = {
+  user: "Your account and profile",
+  posts: "Posts you wrote",
+  comments: "Comments and replies you wrote",
+  likes: "Posts you liked or reacted to, with your reaction",
+  jobApplications: "Jobs you applied to, with the status of each application",
+  savedJobs: "Jobs you saved on empowHER",
+  externalSavedJobs: "Jobs you saved from external job listings",
+  communities: "Communities you joined, moderate or created",
+  events: "Events you RSVPed to",
+  reports: "Posts and comments you reported to moderators",
+  sessions: "Devices you are or were logged in on",
+};
+
+// Collectors for each section of the archive
+
+const collectUser = async (userId) => {
+  const user = await User.findById(userId).lean();
+
+  PRIVATE_USER_FIELDS.forEach((field) => delete user[field]);
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+    };
+  }
+
+  return user;
+};
+
+const collectPosts = (userId) =>
+  Post.find({ author: userId })
+    .select("-comments -likes -reactions -poll.votes -__v")
+    .populate("community", "name")
+    .lean();
+
+const collectComments = async (userId) => {
+  const userIdStr = userId.toString();
+  const posts = await Post.find({ "comments.user": userId })
+    .select("title community comments")
+    .lean();
+
+  return posts.flatMap((post) =>
+    post.comments
+      .filter(
+        (comment) =>
+          comment.user &&
+          comment.user.toString() === userIdStr &&
+          !comment.isDeleted
+      )
+      .map((comment) => ({
+        _id: comment._id,
+        post: { _id: post._id, title: post.title },
+        community: post.community,
+        parent: comment.parent,
+        text: comment.text,
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+      }))
+  );
+};
+
+const collectLikes = async (userId) => {
+  const posts = await Post.find({
+    $or: [{ likes: userId }, { "reactions.user": userId }],
+  }).select("title community createdAt likes reactions");
+
+  return posts.map((post) => ({
+    post: { _id: post._id, title: post.title, createdAt: post.createdAt },
+    community: post.community,
+    reaction: post.getReaction(userId),
+  }));
+};
+
+const collectJobApplications = async (user) => {
+  const jobIds = (user.appliedJobs || []).map((entry) => entry.job);
+  const jobs = await Job.find({ _id: { $in: jobIds } })
+    .select("title company location type")
+    .lean();
+
+  return (user.appliedJobs || []).map((entry) => ({
+    job:
+      jobs.find((job) => entry.job && job._id.equals(entry.job)) || entry.job,
+    status: entry.status,
+    appliedAt: entry.appliedAt,
+  }));
+};
+
+const collectSavedJobs = (user) =>
+  Job.find({ _id: { $in: user.savedJobs || [] } })
+    .select("title company location type applicationDeadline")
+    .lean();
+
+// Jobs saved through /api/jobs/save are kept in a raw collection keyed by string ids
+const collectExternalSavedJobs = (userId) =>
+  mongoose.connection.db
+    .collection("saved_jobs")
+    .find({ user_id: userId.toString() })
+    .toArray();
+
+const collectCommunities = async (userId) => {
+  const communities = await Community.find({
+    $or: [{ members: userId }, { moderators: userId }, { createdBy: userId }],
+  })
+    .select("name description createdBy moderators")
+    .lean();
+
+  return communities.map((community) => {
+    let role = "member";
+    if (community.moderators.some((modId) => modId.equals(userId))) {
+      role = "moderator";
+    }
+    if (community.createdBy && community.createdBy.equals(userId)) {
+      role = "creator";
+    }
+
+    return {
+      _id: community._id,
+      name: community.name,
+      description: community.description,
+      role,
+    };
+  });
+};
+
+const collectEvents = async (userId) => {
+  const userIdStr = userId.toString();
+  const events = await Event.find({
+    $or: [{ "attendees.user": userId }, { "waitlist.user": userId }],
+  })
+    .select("title community startsAt endsAt timezone attendees waitlist")
+    .lean();
+
+  return events.map((event) => {
+    const attending = event.attendees.find(
+      (entry) => entry.user.toString() === userIdStr
+    );
+    const waitlisted = event.waitlist.find(
+      (entry) => entry.user.toString() === userIdStr
+    );
+
+    return {
+      _id: event._id,
+      title: event.title,
+      community: event.community,
+      startsAt: event.startsAt,
+      endsAt: event.endsAt,
+      timezone: event.timezone,
+      rsvpStatus: attending ? "attending" : "waitlisted",
+      rsvpAt: (attending || waitlisted).rsvpAt,
+    };
+  });
+};
+
+const collectReports = (userId) =>
+  Report.find({ reporter: userId })
+    .select("community post comment reason details status createdAt")
+    .lean();
+
+const collectSessions = (userId) =>
+  Session.find({ user: userId })
+    .select("device userAgent ip createdAt lastUsedAt revokedAt")
+    .lean();
+
+/**
+ * Gather everything stored about a user into one archive object.
+ * Sections run one after another to keep the load of large accounts low.
+ */
+const buildArchive = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  const user = await collectUser(id);
+
+  const data = {
+    user,
+    posts: await collectPosts(id),
+    comments: await collectComments(id),
+    likes: await collectLikes(id),
+    jobApplications: await collectJobApplications(user),
+    savedJobs: await collectSavedJobs(user),
+    externalSavedJobs: await collectExternalSavedJobs(id),
+    communities: await collectCommunities(id),
+    events: await collectEvents(id),
+    reports: await collectReports(id),
+    sessions: await collectSessions(id),
+  };
+
+  const manifest = {
+    format: "empowher-data-export",
+    version: EXPORT_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    userId: id.toString(),
+    sections: Object.keys(data).map((name) => ({
+      name,
+      description: SECTION_DESCRIPTIONS[name],
+      count: Array.isArray(data[name]) ? data[name].length : 1,
+    })),
+  };
+
+  return { manifest, ...data };
+};
+
+/**
+ * Generate the archive of an export and store it gzipped
+ */
+const processExport = async (exportId) => {
+  const dataExport = await DataExport.findByIdAndUpdate(
+    exportId,
+    { status: "processing" },
+    { new: true }
+  );
+
+  try {
+    const archive = await buildArchive(dataExport.user);
+    const compressed = await gzip(JSON.stringify(archive, null, 2));
+    const expiresAt = Date.now() + EXPORT_EXPIRE_HOURS * 60 * 60 * 1000;
+
+    const chunks = [];
+    for (let n = 0; n * ARCHIVE_CHUNK_BYTES < compressed.length; n++) {
+      chunks.push({
+        export: dataExport._id,
+        user: dataExport.user,
+        n,
+        data: compressed.subarray(
+          n * ARCHIVE_CHUNK_BYTES,
+          (n + 1) * ARCHIVE_CHUNK_BYTES
+        ),
+        expiresAt,
+      });
+    }
+    await DataExportChunk.insertMany(chunks);
+
+    dataExport.size = compressed.length;
+    dataExport.sections = Object.fromEntries(
+      archive.manifest.sections.map(({ name, count }) => [name, count])
+    );
+    dataExport.status = "ready";
+    dataExport.completedAt = Date.now();
+    dataExport.expiresAt = expiresAt;
+    await dataExport.save();
+
+    console.log(`Data export ${exportId} ready (${compressed.length} bytes)`);
+  } catch (error) {
+    console.error(`Data export ${exportId} failed:`, error.message);
+
+    await DataExportChunk.deleteMany({ export: dataExport._id });
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: "failed", error: error.message }
+    );
+  }
+};
+
+/**
+ * Put the gzipped archive of a ready export back together from its chunks
+ */
+const readArchive = async (dataExport) => {
+  const chunks = await DataExportChunk.find({ export: dataExport._id }).sort({
+    n: 1,
+  });
+
+  return Buffer.concat(chunks.map((chunk) => chunk.data));
+};
+
+/**
+ * Delete every export of the user together with its archive
+ */
+const deleteExports = async (userId) => {
+  await DataExportChunk.deleteMany({ user: userId });
+  await DataExport.deleteMany({ user: userId });
+};
+
+/**
+ * Queue a new export for the user and generate it in the background
+ */
+const requestExport = async (userId) => {
+  const dataExport = await DataExport.create({
+    user: userId,
+    expiresAt: Date.now() + EXPORT_EXPIRE_HOURS * 60 * 60 * 1000,
+  });
+
+  setImmediate(() =>
+    processExport(dataExport._id).catch((error) =>
+      console.error("Data export error:", error.message)
+    )
+  );
+
+  return dataExport;
+};
+
+/**
+ * Latest export of the user that can still be used or failed, if any
+ */
+const findCurrentExport = async (userId) => {
+  const dataExport = await DataExport.findOne({
+    user: userId,
+    expiresAt: { $gt: new Date() },
+  }).sort({ requestedAt: -1 });
+
+  if (!dataExport) return null;
+
+  const isUnfinished = ["pending", "processing"].includes(dataExport.status);
+  if (isUnfinished && dataExport.requestedAt < Date.now() - STALE_EXPORT_MS) {
+    return null;
+  }
+
+  return dataExport;
+};
+
+module.exports = {
+  EXPORT_EXPIRE_HOURS,
+  buildArchive,
+  requestExport,
+  findCurrentExport,
+  readArchive,
+  deleteExports,
+};
@@ -0,0 +1,85 @@
+const { templates } = require("./templates");
+const createSmtpTransport = require("./transports/smtp");
+const createOutboxTransport = require("./transports/outbox");
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport, creating it on first use.
+ * MAIL_TRANSPORT picks it, defaulting to SMTP in production and the outbox elsewhere.
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "outbox");
+
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. with a custom one or a fresh outbox in tests
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Build a link into the frontend app
+ */
+const buildAppUrl = (pathname) => {
+  const baseUrl = (
+    process.env.APP_URL ||
+    process.env.FRONTEND_URL ||
+    "http://localhost:3000"
+  ).replace(/\/$/, "");
+
+  return `${baseUrl}${pathname}`;
+};
+
+/**
+ * Render a template and send it to a recipient
+ */
+const sendMail = async (templateName, to, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${templateName}`);
+  }
+
+  const { subject, text, html } = template(data);
+
+  const result = await getTransport().send({
+    from: process.env.MAIL_FROM || "empowHER <no-reply@empowher.app>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  console.log(`Sent "${templateName}" mail to ${to} (${result.messageId})`);
+
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  buildAppUrl,
+  transportFactories,
+  createSmtpTransport,
+  createOutboxTransport,
+};
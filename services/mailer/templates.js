@@ -0,0 +1,210 @@
+/**
+ * Transactional email templates.
+ * Every template receives the data passed to sendMail and returns
+ * the subject with a plain text and an HTML body.
+ */
+
+// Escape user-provided values before putting them in HTML
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap template content in the shared email layout
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #8a2be2;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #999; font-size: 12px;">empowHER &middot; You are receiving this email because of activity on your account.</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(
+    url
+  )}" style="background: #8a2be2; color: #fff; padding: 10px 16px; border-radius: 4px; text-decoration: none;">${escapeHtml(
+    label
+  )}</a></p>`;
+
+const templates = {
+  welcome: ({ name }) => ({
+    subject: "Welcome to empowHER",
+    text: `Hi ${name},\n\nWelcome to empowHER! Join communities, find jobs and connect with other women building their careers.\n\nThe empowHER team`,
+    html: layout(
+      "Welcome to empowHER",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>Welcome to empowHER! Join communities, find jobs and connect with other women building their careers.</p>`
+    ),
+  }),
+
+  emailVerification: ({ name, verifyUrl, expiresInHours }) => ({
+    subject: "Verify your empowHER email address",
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below. It expires in ${expiresInHours} hours.\n\n${verifyUrl}\n\nIf you didn't create an account, you can ignore this email.`,
+    html: layout(
+      "Verify your email address",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>Please confirm your email address. The link expires in ${escapeHtml(
+      expiresInHours
+    )} hours.</p>
+    ${button(verifyUrl, "Verify email")}
+    <p>If you didn't create an account, you can ignore this email.</p>`
+    ),
+  }),
+
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: "Reset your empowHER password",
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one. It expires in ${expiresInMinutes} minutes.\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`,
+    html: layout(
+      "Reset your password",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset your password. The link expires in ${escapeHtml(
+      expiresInMinutes
+    )} minutes.</p>
+    ${button(resetUrl, "Reset password")}
+    <p>If you didn't request this, you can ignore this email.</p>`
+    ),
+  }),
+
+  magicLink: ({ name, loginUrl, expiresInMinutes }) => ({
+    subject: "Your empowHER login link",
+    text: `Hi ${name},\n\nOpen the link below to log in to empowHER. It can be used once and expires in ${expiresInMinutes} minutes.\n\n${loginUrl}\n\nIf you didn't request this, you can ignore this email.`,
+    html: layout(
+      "Log in to empowHER",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>Use the button below to log in. The link can be used once and expires in ${escapeHtml(
+      expiresInMinutes
+    )} minutes.</p>
+    ${button(loginUrl, "Log in")}
+    <p>If you didn't request this, you can ignore this email.</p>`
+    ),
+  }),
+
+  accountLocked: ({ name, unlockUrl, lockedMinutes }) => ({
+    subject: "Your empowHER account has been locked",
+    text: `Hi ${name},\n\nWe locked your account for ${lockedMinutes} minutes after several failed login attempts. If this was you, open the link below to unlock it now.\n\n${unlockUrl}\n\nIf it wasn't you, consider resetting your password.`,
+    html: layout(
+      "Your account has been locked",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>We locked your account for ${escapeHtml(
+      lockedMinutes
+    )} minutes after several failed login attempts. If this was you, you can unlock it now.</p>
+    ${button(unlockUrl, "Unlock account")}
+    <p>If it wasn't you, consider resetting your password.</p>`
+    ),
+  }),
+
+  emailChangeConfirm: ({ name, confirmUrl, expiresInHours }) => ({
+    subject: "Confirm your new empowHER email address",
+    text: `Hi ${name},\n\nOpen the link below to use this address for your empowHER account. It expires in ${expiresInHours} hours.\n\n${confirmUrl}\n\nIf you didn't ask for this, you can ignore this email.`,
+    html: layout(
+      "Confirm your new email address",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>Confirm that you want to use this address for your empowHER account. The link expires in ${escapeHtml(
+      expiresInHours
+    )} hours.</p>
+    ${button(confirmUrl, "Confirm email")}
+    <p>If you didn't ask for this, you can ignore this email.</p>`
+    ),
+  }),
+
+  emailChanged: ({ name, newEmail }) => ({
+    subject: "Your empowHER email address was changed",
+    text: `Hi ${name},\n\nThe email address of your account was changed to ${newEmail} and you have been logged out of all devices.\n\nIf this wasn't you, contact support right away.`,
+    html: layout(
+      "Your email address was changed",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>The email address of your account was changed to <strong>${escapeHtml(
+      newEmail
+    )}</strong> and you have been logged out of all devices.</p>
+    <p>If this wasn't you, contact support right away.</p>`
+    ),
+  }),
+
+  passwordChanged: ({ name }) => ({
+    subject: "Your empowHER password was changed",
+    text: `Hi ${name},\n\nThe password for your account was just changed and you have been logged out of your other devices.\n\nIf this wasn't you, reset your password right away.`,
+    html: layout(
+      "Your password was changed",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>The password for your account was just changed and you have been logged out of your other devices.</p>
+    <p>If this wasn't you, reset your password right away.</p>`
+    ),
+  }),
+
+  moderationAlert: ({ name, communityName, reason, autoHidden, queueUrl }) => ({
+    subject: `Reported content in ${communityName} needs review`,
+    text: `Hi ${name},\n\nA post or comment in ${communityName} was reported for ${reason}.${
+      autoHidden
+        ? " It received enough reports to be hidden until a moderator reviews it."
+        : ""
+    }\n\nReview it in the moderation queue:\n\n${queueUrl}`,
+    html: layout(
+      "Reported content needs review",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>A post or comment in <strong>${escapeHtml(
+      communityName
+    )}</strong> was reported for ${escapeHtml(reason)}.${
+        autoHidden
+          ? " It received enough reports to be hidden until a moderator reviews it."
+          : ""
+      }</p>
+    ${button(queueUrl, "Open moderation queue")}`
+    ),
+  }),
+
+  contentWarning: ({ name, communityName, note }) => ({
+    subject: `A warning from the ${communityName} moderators`,
+    text: `Hi ${name},\n\nThe moderators of ${communityName} reviewed a post or comment of yours after it was reported and issued a warning.${
+      note ? `\n\nTheir note: ${note}` : ""
+    }\n\nPlease keep the community guidelines in mind, further violations can lead to removal from the community.`,
+    html: layout(
+      "A warning from the moderators",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>The moderators of <strong>${escapeHtml(
+      communityName
+    )}</strong> reviewed a post or comment of yours after it was reported and issued a warning.</p>
+    ${note ? `<p>Their note: ${escapeHtml(note)}</p>` : ""}
+    <p>Please keep the community guidelines in mind, further violations can lead to removal from the community.</p>`
+    ),
+  }),
+
+  communityAnnouncement: ({ name, communityName, title, postUrl }) => ({
+    subject: `New announcement in ${communityName}: ${title}`,
+    text: `Hi ${name},\n\nThe moderators of ${communityName} posted an announcement: "${title}".\n\nRead it here:\n\n${postUrl}\n\nYou can turn off emails from this community in its notification settings.`,
+    html: layout(
+      `New announcement in ${communityName}`,
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>The moderators of <strong>${escapeHtml(
+      communityName
+    )}</strong> posted an announcement: <strong>${escapeHtml(
+        title
+      )}</strong></p>
+    ${button(postUrl, "Read the announcement")}
+    <p>You can turn off emails from this community in its notification settings.</p>`
+    ),
+  }),
+
+  accountDeletionScheduled: ({ name, deletionDate, graceDays }) => ({
+    subject: "Your empowHER account will be deleted",
+    text: `Hi ${name},\n\nYour account is scheduled for deletion on ${deletionDate} and you have been logged out of all devices.\n\nChanged your mind? Log in again within ${graceDays} days and the deletion will be cancelled. After that your data is removed for good.`,
+    html: layout(
+      "Your account will be deleted",
+      `<p>Hi ${escapeHtml(name)},</p>
+    <p>Your account is scheduled for deletion on <strong>${escapeHtml(
+      deletionDate
+    )}</strong> and you have been logged out of all devices.</p>
+    <p>Changed your mind? Log in again within ${graceDays} days and the deletion will be cancelled. After that your data is removed for good.</p>`
+    ),
+  }),
+};
+
+module.exports = {
+  templates,
+  escapeHtml,
+  layout,
+  button,
+};
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Outbox transport for local development and tests.
+ * Writes every message as a JSON file instead of delivering it and
+ * keeps the sent messages in memory so tests can inspect them.
+ */
+const createOutboxTransport = (options = {}) => {
+  const directory =
+    options.directory ||
+    process.env.MAIL_OUTBOX_DIR ||
+    path.join(__dirname, "..", "..", "..", "tmp", "outbox");
+
+  const sent = [];
+
+  return {
+    name: "outbox",
+    sent,
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}@outbox`;
+      const entry = { messageId, sentAt: new Date().toISOString(), ...message };
+
+      sent.push(entry);
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(directory, `${messageId.replace("@outbox", "")}.json`),
+        JSON.stringify(entry, null, 2)
+      );
+
+      console.log(
+        `Mail written to outbox: "${message.subject}" for ${message.to}`
+      );
+
+      return { messageId };
+    },
+  };
+};
+
+module.exports = createOutboxTransport;
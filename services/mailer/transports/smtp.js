@@ -0,0 +1,29 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+    secure: (options.secure || process.env.SMTP_SECURE) === "true",
+    auth:
+      options.user || process.env.SMTP_USER
+        ? {
+            user: options.user || process.env.SMTP_USER,
+            pass: options.pass || process.env.SMTP_PASS,
+          }
+        : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { authenticator } = require("otplib");
+
+// Accept codes from one 30 second step before or after to allow clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "empowHER";
+const RECOVERY_CODE_COUNT = 10;
+
+// Key used to encrypt TOTP secrets at rest
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+/**
+ * Encrypt a TOTP secret with AES-256-GCM, returns "iv:tag:ciphertext"
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(":");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+/**
+ * Generate a new TOTP secret and the otpauth URI authenticator apps scan
+ */
+const generateSecret = (accountName) => {
+  const secret = authenticator.generateSecret(20);
+
+  return {
+    secret,
+    otpauthUri: authenticator.keyuri(accountName, ISSUER, secret),
+  };
+};
+
+/**
+ * Check a code against a secret. Returns the time step the code belongs to,
+ * or null when it doesn't match, so callers can refuse replayed codes.
+ */
+const verifyCode = (secret, code) => {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  return Math.floor(Date.now() / 1000 / 30) + delta;
+};
+
+// Hash a recovery code the same way other one-time tokens are hashed
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+/**
+ * Generate fresh recovery codes, returns the codes to show once and their hashes to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a user's second factor, either a TOTP code or a recovery code.
+ * The user must be loaded with the twoFactor secret, recoveryCodes and
+ * lastUsedStep fields. Used codes are burned on the user document, the
+ * caller saves it. Returns "totp", "recovery" or null.
+ */
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code && twoFactor.secret) {
+    const step = verifyCode(decryptSecret(twoFactor.secret), code);
+
+    if (step !== null && step > (twoFactor.lastUsedStep || 0)) {
+      twoFactor.lastUsedStep = step;
+      return "totp";
+    }
+  }
+
+  if (recoveryCode && twoFactor.recoveryCodes) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = twoFactor.recoveryCodes.indexOf(hash);
+
+    if (index !== -1) {
+      twoFactor.recoveryCodes.splice(index, 1);
+      return "recovery";
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+};